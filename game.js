@@ -4,7 +4,7 @@
    * - Canvas 2D
    * - 方向鍵移動
    * - 靠近 NPC 提示 + Space/Enter 觸發對話
-   * - 對話結束送小禮物（毛/鬍鬚等），一次性，背包可查看（localStorage 存檔）
+   * - 對話結束送小禮物（毛/鬍鬚等），一次性，背包可查看（瀏覽器存檔）
    */
 
   /** @type {HTMLCanvasElement} */
@@ -17,102 +17,926 @@
     promptText: document.getElementById("prompt-text"),
     dialogue: document.getElementById("dialogue"),
     dialogueName: document.getElementById("dialogue-name"),
+    dialoguePortrait: document.getElementById("dialogue-portrait"),
     dialogueText: document.getElementById("dialogue-text"),
+    dialogueChoices: document.getElementById("dialogue-choices"),
+    dialogueHint: document.getElementById("dialogue-hint"),
     inventory: document.getElementById("inventory"),
     inventoryClose: document.getElementById("inventory-close"),
     inventoryList: document.getElementById("inventory-list"),
     inventoryMeta: document.getElementById("inventory-meta"),
+    inventoryFilter: document.getElementById("inventory-filter"),
+    inventorySort: document.getElementById("inventory-sort"),
     inventoryClear: document.getElementById("inventory-clear"),
+    inventoryNotice: document.getElementById("inventory-notice"),
+    saveExport: document.getElementById("save-export"),
+    saveImport: document.getElementById("save-import"),
+    saveImportFile: document.getElementById("save-import-file"),
+    journal: document.getElementById("journal"),
+    journalClose: document.getElementById("journal-close"),
+    journalList: document.getElementById("journal-list"),
+    journalMeta: document.getElementById("journal-meta"),
     help: document.getElementById("help"),
     helpClose: document.getElementById("help-close"),
+    textSpeed: document.getElementById("text-speed"),
+    history: document.getElementById("history"),
+    historyClose: document.getElementById("history-close"),
+    historyList: document.getElementById("history-list"),
+    album: document.getElementById("album"),
+    albumClose: document.getElementById("album-close"),
+    albumList: document.getElementById("album-list"),
+    albumMeta: document.getElementById("album-meta"),
+    albumOthers: document.getElementById("album-others"),
+    craft: document.getElementById("craft"),
+    craftClose: document.getElementById("craft-close"),
+    craftList: document.getElementById("craft-list"),
+    craftMeta: document.getElementById("craft-meta"),
+    craftNotice: document.getElementById("craft-notice"),
     shop: document.getElementById("shop"),
     shopClose: document.getElementById("shop-close"),
     shopList: document.getElementById("shop-list"),
     shopMeta: document.getElementById("shop-meta"),
     shopSellAll: document.getElementById("shop-sell-all"),
+    shopTabBuy: document.getElementById("shop-tab-buy"),
+    shopTabSell: document.getElementById("shop-tab-sell"),
+    shopTabMarket: document.getElementById("shop-tab-market"),
+    shopNotice: document.getElementById("shop-notice"),
     splash: document.getElementById("splash"),
     startGame: document.getElementById("start-game"),
     newGame: document.getElementById("new-game"),
+    saveSlots: document.getElementById("save-slots"),
+    restoreBackup: document.getElementById("restore-backup"),
+    backupPanel: document.getElementById("backup-panel"),
+    backupList: document.getElementById("backup-list"),
+    confirm: document.getElementById("confirm"),
+    confirmTitle: document.getElementById("confirm-title"),
+    confirmMessage: document.getElementById("confirm-message"),
+    confirmOk: document.getElementById("confirm-ok"),
+    confirmCancel: document.getElementById("confirm-cancel"),
+    downed: document.getElementById("downed"),
+    downedMessage: document.getElementById("downed-message"),
+    downedRespawn: document.getElementById("downed-respawn"),
+    downedBackup: document.getElementById("downed-backup"),
     badgeHp: document.getElementById("badge-hp"),
     badgeCoins: document.getElementById("badge-coins"),
     badgeGifts: document.getElementById("badge-gifts"),
+    badgeCollector: document.getElementById("badge-collector"),
     badgeHint: document.getElementById("badge-hint"),
+    badgeLocation: document.getElementById("badge-location"),
+    badgeClock: document.getElementById("badge-clock"),
+    badgeWeather: document.getElementById("badge-weather"),
+    badgeStorage: document.getElementById("badge-storage"),
   };
 
-  const STORAGE_KEY = "cat-village-rpg-save-v1";
+  /**
+   * 儲存層：後端可替換（IndexedDB / localStorage / 記憶體）。
+   * 啟動時把後端內容整批讀進快取，之後讀取都走快取（同步）；
+   * 寫入先進快取並標記待寫，延遲一小段時間後合併成一次寫回後端。
+   */
+  /** @typedef {{ name: string; loadAll(): Promise<Record<string, string>>; write(changes: Array<[string, string|null]>): Promise<void> }} StorageBackend */
+
+  const STORAGE_PREFIX = "cat-village-rpg-";
+  const STORAGE_FLUSH_DELAY_MS = 800;
+
+  /** @returns {StorageBackend} */
+  function createLocalStorageBackend() {
+    return {
+      name: "localStorage",
+      loadAll() {
+        return new Promise((resolve) => {
+          /** @type {Record<string, string>} */
+          const out = {};
+          for (let i = 0; i < localStorage.length; i++) {
+            const k = localStorage.key(i);
+            if (k && k.startsWith(STORAGE_PREFIX)) out[k] = localStorage.getItem(k) ?? "";
+          }
+          resolve(out);
+        });
+      },
+      write(changes) {
+        // 同步寫入：pagehide 時也能確實寫完
+        return new Promise((resolve) => {
+          for (const [k, v] of changes) {
+            if (v == null) localStorage.removeItem(k);
+            else localStorage.setItem(k, v);
+          }
+          resolve();
+        });
+      },
+    };
+  }
+
+  /** @param {string} dbName @returns {StorageBackend} */
+  function createIndexedDbBackend(dbName) {
+    const STORE = "kv";
+    /** @type {Promise<IDBDatabase> | null} */
+    let dbPromise = null;
+
+    function openDb() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const req = indexedDB.open(dbName, 1);
+          req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+          req.onblocked = () => reject(new Error("IndexedDB 被其他分頁占用"));
+        });
+      }
+      return dbPromise;
+    }
+
+    /** @param {IDBTransactionMode} mode @param {(store: IDBObjectStore) => void} fn */
+    function run(mode, fn) {
+      return openDb().then(
+        (db) =>
+          new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error ?? new Error("IndexedDB 寫入中斷"));
+          })
+      );
+    }
+
+    return {
+      name: "indexedDB",
+      loadAll() {
+        /** @type {Record<string, string>} */
+        const out = {};
+        return run("readonly", (store) => {
+          const req = store.openCursor();
+          req.onsuccess = () => {
+            const cur = req.result;
+            if (!cur) return;
+            if (typeof cur.key === "string" && typeof cur.value === "string") out[cur.key] = cur.value;
+            cur.continue();
+          };
+        }).then(() => out);
+      },
+      write(changes) {
+        return run("readwrite", (store) => {
+          for (const [k, v] of changes) {
+            if (v == null) store.delete(k);
+            else store.put(v, k);
+          }
+        });
+      },
+    };
+  }
+
+  /** @returns {StorageBackend} */
+  function createMemoryBackend() {
+    /** @type {Map<string, string>} */
+    const data = new Map();
+    return {
+      name: "memory",
+      loadAll() {
+        return Promise.resolve(Object.fromEntries(data));
+      },
+      write(changes) {
+        for (const [k, v] of changes) {
+          if (v == null) data.delete(k);
+          else data.set(k, v);
+        }
+        return Promise.resolve();
+      },
+    };
+  }
+
+  /** @param {unknown} err */
+  function isQuotaError(err) {
+    const e = /** @type {any} */ (err);
+    return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22);
+  }
+
+  /**
+   * @param {StorageBackend} backend
+   * @param {Record<string, string>} initial
+   * @param {(err: unknown) => void} onWriteResult 寫入成功時傳 null
+   */
+  function createStore(backend, initial, onWriteResult) {
+    /** @type {Map<string, string>} */
+    const cache = new Map(Object.entries(initial));
+    /** 待寫入：字串/null（刪除），或延遲到寫入前才序列化的函式 */
+    /** @type {Map<string, string | null | (() => string)>} */
+    const pending = new Map();
+    let timer = 0;
+    /** @type {Promise<void>} */
+    let writing = Promise.resolve();
+
+    /** @param {string} key */
+    function materialize(key) {
+      const v = pending.get(key);
+      if (typeof v !== "function") return v ?? null;
+      const str = v();
+      pending.set(key, str);
+      return str;
+    }
+
+    function schedule() {
+      if (timer) return;
+      timer = window.setTimeout(() => {
+        timer = 0;
+        flush();
+      }, STORAGE_FLUSH_DELAY_MS);
+    }
+
+    function flush() {
+      if (timer) {
+        window.clearTimeout(timer);
+        timer = 0;
+      }
+      if (pending.size === 0) return writing;
+      /** @type {Array<[string, string|null]>} */
+      const changes = [];
+      for (const key of pending.keys()) changes.push([key, materialize(key)]);
+      pending.clear();
+      for (const [k, v] of changes) {
+        if (v == null) cache.delete(k);
+        else cache.set(k, v);
+      }
+      writing = writing
+        .then(() => backend.write(changes))
+        .then(
+          () => onWriteResult(null),
+          (err) => {
+            // 寫失敗：沒被新值蓋過的項目放回待寫，下次有寫入時再試
+            for (const [k, v] of changes) if (!pending.has(k)) pending.set(k, v);
+            onWriteResult(err);
+          }
+        );
+      return writing;
+    }
+
+    return {
+      backendName: backend.name,
+      /** @param {string} key */
+      get(key) {
+        if (pending.has(key)) return materialize(key);
+        return cache.get(key) ?? null;
+      },
+      /** @param {string} key @param {string | (() => string)} value */
+      set(key, value) {
+        pending.set(key, value);
+        schedule();
+      },
+      /** @param {string} key */
+      remove(key) {
+        pending.set(key, null);
+        schedule();
+      },
+      flush,
+    };
+  }
+
+  /** @typedef {ReturnType<typeof createStore>} Store */
+
+  /** 依序嘗試可用的後端；網址參數 ?storage=memory|local|idb 可強制指定（測試用） */
+  function storageBackendCandidates() {
+    let forced = "";
+    try {
+      forced = new URLSearchParams(window.location.search).get("storage") ?? "";
+    } catch {
+      // ignore
+    }
+    if (forced === "memory") return [createMemoryBackend()];
+    /** @type {StorageBackend[]} */
+    const list = [];
+    if (forced !== "local" && typeof indexedDB !== "undefined") list.push(createIndexedDbBackend("cat-village-rpg"));
+    if (forced !== "idb") list.push(createLocalStorageBackend());
+    list.push(createMemoryBackend());
+    return list;
+  }
+
+  /** localStorage 裡的存檔已經複製進 IndexedDB 的記號 */
+  const IDB_IMPORTED_KEY = "cat-village-rpg-idb-imported";
+
+  /**
+   * 第一次改用 IndexedDB 時，把 localStorage 裡的舊存檔複製過去。
+   * localStorage 那份留著：之後 IndexedDB 打不開時退回 localStorage，存檔還在。
+   * @param {StorageBackend} backend @param {Record<string, string>} data
+   */
+  function importLocalStorageInto(backend, data) {
+    if (backend.name !== "indexedDB" || Object.keys(data).length > 0) return Promise.resolve(data);
+    return createLocalStorageBackend()
+      .loadAll()
+      .then((legacy) => {
+        if (legacy[IDB_IMPORTED_KEY]) return data;
+        const entries = Object.entries(legacy);
+        if (entries.length === 0) return data;
+        return backend.write(entries).then(() => {
+          localStorage.setItem(IDB_IMPORTED_KEY, "1");
+          return legacy;
+        });
+      })
+      .catch(() => data);
+  }
+
+  /** @param {string | null | undefined} raw */
+  function lastPlayedOf(raw) {
+    try {
+      const t = raw ? JSON.parse(raw)?.meta?.lastPlayed : null;
+      return Number.isFinite(t) ? t : -Infinity;
+    } catch {
+      return -Infinity;
+    }
+  }
+
+  /**
+   * 關分頁時 IndexedDB 可能來不及寫完，所以當時也同步寫了一份到 localStorage（見 flushSaveNow）。
+   * 開啟時兩邊都有的存檔格，取 meta.lastPlayed 比較新的那份，並寫回 IndexedDB。
+   * @param {StorageBackend} backend @param {Record<string, string>} data
+   */
+  function preferNewerLocalCopies(backend, data) {
+    if (backend.name !== "indexedDB") return Promise.resolve(data);
+    /** @type {Array<[string, string]>} */
+    const newer = [];
+    try {
+      for (const [k, v] of Object.entries(data)) {
+        if (!k.startsWith(SAVE_SLOT_KEY_PREFIX)) continue;
+        const local = localStorage.getItem(k);
+        if (local && lastPlayedOf(local) > lastPlayedOf(v)) newer.push([k, local]);
+      }
+    } catch {
+      return Promise.resolve(data);
+    }
+    if (newer.length === 0) return Promise.resolve(data);
+    const merged = { ...data, ...Object.fromEntries(newer) };
+    return backend.write(newer).then(
+      () => merged,
+      () => merged
+    );
+  }
+
+  /** IndexedDB 的交易不保證在分頁關掉前寫完：這格存檔另外同步寫一份到 localStorage（null＝刪掉那份） @param {string} key @param {string | null} value */
+  function mirrorToLocalStorage(key, value) {
+    try {
+      if (value == null) localStorage.removeItem(key);
+      else localStorage.setItem(key, value);
+    } catch {
+      // 空間不夠就算了，IndexedDB 那份還在寫
+    }
+  }
+
+  /**
+   * 刪掉存檔資料。用 IndexedDB 時 localStorage 還留著鏡像或匯入前的副本，也一起刪，
+   * 不然之後退回 localStorage 時刪掉的存檔又會跑回來。
+   * @param {Store} store @param {string} key
+   */
+  function removeSaveData(store, key) {
+    store.remove(key);
+    if (store.backendName === "indexedDB") mirrorToLocalStorage(key, null);
+  }
+
+  /** @param {(err: unknown) => void} onWriteResult @returns {Promise<Store>} */
+  function openStorage(onWriteResult) {
+    const candidates = storageBackendCandidates();
+    const tryAt = (i) => {
+      const backend = candidates[i];
+      return backend
+        .loadAll()
+        .then((data) => importLocalStorageInto(backend, data))
+        .then((data) => preferNewerLocalCopies(backend, data))
+        .then(
+          (data) => createStore(backend, data, onWriteResult),
+          (err) => (i + 1 < candidates.length ? tryAt(i + 1) : Promise.reject(err))
+        );
+    };
+    return tryAt(0);
+  }
+
+  /** @param {unknown} err */
+  function updateStorageWarning(err) {
+    if (!err) {
+      ui.badgeStorage.hidden = true;
+      return;
+    }
+    ui.badgeStorage.textContent = isQuotaError(err)
+      ? "⚠ 存檔空間已滿：進度暫時只保留在這次遊玩中"
+      : "⚠ 存檔失敗：進度暫時只保留在這次遊玩中";
+    ui.badgeStorage.hidden = false;
+  }
+
+  /** @type {Store | null} */
+  let storage = null;
+
+  /** 舊版單一存檔（v1），啟動時會搬進第 1 格存檔 */
+  const LEGACY_STORAGE_KEY = "cat-village-rpg-save-v1";
+  const SAVE_SLOT_KEY_PREFIX = "cat-village-rpg-save-slot-";
+  const ACTIVE_SLOT_KEY = "cat-village-rpg-active-slot";
+  const BACKUP_KEY_PREFIX = "cat-village-rpg-backups-";
   const FIRST_VISIT_KEY = "cat-village-rpg-first-visit-v1";
+  const TEXT_SPEED_KEY = "cat-village-rpg-text-speed";
+  const SAVE_SLOT_COUNT = 3;
+
+  /** 目前存檔格式版本；改結構時 +1 並在 SAVE_MIGRATIONS 補一步 */
+  const SAVE_VERSION = 10;
+
+  /** @param {number} slot */
+  function slotKey(slot) {
+    return `${SAVE_SLOT_KEY_PREFIX}${slot}`;
+  }
+
+  /** @param {number} slot */
+  function backupKey(slot) {
+    return `${BACKUP_KEY_PREFIX}${slot}`;
+  }
+
+  /** @param {Store} store */
+  function clearAllSlots(store) {
+    removeSaveData(store, LEGACY_STORAGE_KEY);
+    for (let i = 1; i <= SAVE_SLOT_COUNT; i++) {
+      removeSaveData(store, slotKey(i));
+      removeSaveData(store, backupKey(i));
+    }
+  }
 
   // 支援用網址參數強制重置：index.html?reset=1
   // 會清空存檔與「首次進來」旗標，並把網址還原（避免每次刷新都重置）
-  try {
-    const params = new URLSearchParams(window.location.search);
-    if (params.has("reset")) {
-      localStorage.removeItem(STORAGE_KEY);
-      localStorage.removeItem(FIRST_VISIT_KEY);
-      window.history.replaceState(null, "", window.location.pathname);
+  /** @param {Store} store */
+  function applyResetParam(store) {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      if (params.has("reset")) {
+        clearAllSlots(store);
+        store.remove(ACTIVE_SLOT_KEY);
+        store.remove(FIRST_VISIT_KEY);
+        params.delete("reset");
+        const rest = params.toString();
+        window.history.replaceState(null, "", window.location.pathname + (rest ? `?${rest}` : ""));
+      }
+    } catch {
+      // ignore
     }
-  } catch {
-    // ignore
   }
 
-  /** @typedef {{ id: string; name: string; desc: string; from: string; time: number }} Gift */
+  /** 背包裡的一件東西；itemId 對應道具表 ITEMS（舊存檔或不認得的東西沒有） */
+  /** @typedef {{ id: string; name: string; desc: string; from: string; time: number; itemId?: string }} Gift */
   /** @typedef {{ hp: number; maxHp: number; coins: number }} PlayerStats */
-  /** @typedef {{ gifts: Gift[]; givenNpcIds: Record<string, boolean>; stats: PlayerStats }} SaveData */
+  /** @typedef {{ name: string; createdAt: number; lastPlayed: number }} SaveMeta */
+  /** @typedef {"up"|"down"|"left"|"right"} Facing */
+  /** map：照作息走到別張地圖的 NPC 在哪裡（舊存檔沒有＝出生的地圖） @typedef {{ x: number; y: number; homeX: number; homeY: number; map?: string }} NpcSnapshot */
+  /** hp / respawn / carried 是後來加的：舊快照沒有就當作滿血、還在場上、身上沒錢 */
+  /** @typedef {{ x: number; y: number; homeX: number; homeY: number; cooldown: number; hp?: number; respawn?: number; carried?: number }} MobSnapshot */
+  /** scene：玩家所在的地圖 id（舊存檔沒有＝村莊） */
+  /** @typedef {{ scene: string; player: { x: number; y: number; facing: Facing }; npcs: Record<string, NpcSnapshot>; mobs: Record<string, MobSnapshot>; catnipWard?: number }} WorldSnapshot */
+  /** @typedef {boolean | number | string} FlagValue */
+  /** @typedef {{ state: "active" | "completed"; step: number; startedAt: number; completedAt?: number }} QuestProgress */
+  /** @typedef {{ day: number; bought: Record<string, number> }} ShopState */
+  /** found：道具 id → 第一次拿到的時間（賣掉也不會消失） @typedef {{ found: Record<string, number>; completedAt: number | null }} AlbumState */
+  /** 遊戲內時間：第幾天（從 1 開始）、當天過了幾分鐘（0～1439，可以有小數） @typedef {{ day: number; minute: number }} ClockState */
+  /** @typedef {"clear"|"rain"|"snow"|"fog"} WeatherKind */
+  /** 目前的天氣，day / block 是它屬於哪一天的哪一段（day 0＝還沒決定） @typedef {{ kind: WeatherKind; heavy: boolean; day: number; block: number }} WeatherState */
+  /** @typedef {{ version: number; meta: SaveMeta; gifts: Gift[]; givenNpcIds: Record<string, boolean>; stats: PlayerStats; world: WorldSnapshot | null; flags: Record<string, FlagValue>; quests: Record<string, QuestProgress>; shop: ShopState; album: AlbumState; clock: ClockState; weather: WeatherState }} SaveData */
+
+  /**
+   * 遊戲內時鐘：現實的 realMinutesPerDay 分鐘過完遊戲裡的一天；網址參數 ?dayMinutes=2 可以改（測試用）。
+   * 新遊戲從第 1 天早上 startHour 點開始。
+   */
+  const CLOCK = {
+    realMinutesPerDay: (() => {
+      const n = Number(new URLSearchParams(window.location.search).get("dayMinutes"));
+      return Number.isFinite(n) && n > 0 ? n : 24;
+    })(),
+    startHour: 7,
+  };
+  const MINUTES_PER_DAY = 24 * 60;
+
+  /** @type {WeatherKind[]} */
+  const WEATHER_KINDS = ["clear", "rain", "snow", "fog"];
+
+  /**
+   * 天氣：一天分成幾段（每段 blockHours 小時），每段的天氣由「第幾天 + 第幾段」決定。
+   * 網址參數 ?weather=clear / rain / heavy-rain / snow / fog 可以固定天氣（測試用）。
+   */
+  const WEATHER = {
+    blockHours: 6,
+    // 下雨時有幾成是大雨（0~100）
+    heavyRainChance: 40,
+    force: (() => {
+      const p = new URLSearchParams(window.location.search).get("weather");
+      if (p === "heavy-rain") return { kind: /** @type {WeatherKind} */ ("rain"), heavy: true };
+      const kind = WEATHER_KINDS.find((k) => k === p);
+      return kind ? { kind, heavy: false } : null;
+    })(),
+  };
 
   /** @returns {PlayerStats} */
   function defaultStats() {
     return { hp: 100, maxHp: 100, coins: 0 };
   }
 
+  /** 數字欄位：接受數字字串（舊存檔可能被手動改過），其餘用預設值 */
+  function toFiniteNumber(v, fallback) {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    return Number.isFinite(n) ? n : fallback;
+  }
+
   /** @param {any} raw */
   function normalizeStats(raw) {
     const d = defaultStats();
     if (!raw || typeof raw !== "object") return d;
-    const maxHp = Number.isFinite(raw.maxHp) ? raw.maxHp : d.maxHp;
-    const hp = Number.isFinite(raw.hp) ? raw.hp : d.hp;
-    const coins = Number.isFinite(raw.coins) ? raw.coins : d.coins;
+    const maxHp = toFiniteNumber(raw.maxHp, d.maxHp);
+    const hp = toFiniteNumber(raw.hp, d.hp);
+    const coins = toFiniteNumber(raw.coins, d.coins);
     const safeMax = Math.max(1, Math.floor(maxHp));
     const safeHp = clamp(Math.floor(hp), 0, safeMax);
     const safeCoins = Math.max(0, Math.floor(coins));
-    return { hp: safeHp, maxHp: safeMax, coins: safeCoins };
+    // 保留不認得的欄位（新版本可能會加），只修正已知欄位
+    return { ...raw, hp: safeHp, maxHp: safeMax, coins: safeCoins };
   }
 
-  /** @returns {SaveData} */
-  function loadSave() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return { gifts: [], givenNpcIds: {}, stats: defaultStats() };
-      const parsed = JSON.parse(raw);
-      if (!parsed || typeof parsed !== "object") return { gifts: [], givenNpcIds: {}, stats: defaultStats() };
+  /** @param {number} slot @returns {SaveMeta} */
+  function defaultMeta(slot) {
+    return { name: `存檔 ${slot}`, createdAt: Date.now(), lastPlayed: 0 };
+  }
+
+  /** @param {any} raw @param {number} slot @returns {SaveMeta} */
+  function normalizeMeta(raw, slot) {
+    const d = defaultMeta(slot);
+    if (!raw || typeof raw !== "object") return d;
+    const name = typeof raw.name === "string" && raw.name.trim() ? raw.name.trim().slice(0, 24) : d.name;
+    return {
+      ...raw,
+      name,
+      createdAt: toFiniteNumber(raw.createdAt, d.createdAt),
+      lastPlayed: toFiniteNumber(raw.lastPlayed, d.lastPlayed),
+    };
+  }
+
+  /**
+   * 存檔遷移鏈：key 是「來源版本」，回傳下一版的資料（必須帶上新的 version）。
+   * 每一步只管自己那一版的差異，不認得的欄位一律原封不動帶過去。
+   * @type {Record<number, (data: any) => any>}
+   */
+  const SAVE_MIGRATIONS = {
+    // v1 → v2：加上版本號與 meta（存檔名稱、建立/最後遊玩時間）
+    1: (data) => {
+      const gifts = Array.isArray(data.gifts) ? data.gifts : [];
+      const lastGiftTime = gifts.reduce((t, g) => Math.max(t, toFiniteNumber(g?.time, 0)), 0);
+      return {
+        ...data,
+        version: 2,
+        meta: { name: "", createdAt: lastGiftTime || Date.now(), lastPlayed: lastGiftTime },
+      };
+    },
+    // v2 → v3：加上世界快照（玩家/NPC/mob 位置）；舊存檔沒有快照，從出生點開始
+    2: (data) => ({ ...data, version: 3, world: null }),
+    // v3 → v4：加上通用旗標（對話選項、劇情進度等）
+    3: (data) => ({ ...data, version: 4, flags: {} }),
+    // v4 → v5：加上任務進度；之前已經答應蜜柑的存檔，直接接上「好心情快遞」
+    4: (data) => {
+      const accepted = !!data.flags?.["mikan.helpAccepted"];
+      const now = Date.now();
       return {
-        gifts: Array.isArray(parsed.gifts) ? parsed.gifts : [],
-        givenNpcIds: parsed.givenNpcIds && typeof parsed.givenNpcIds === "object" ? parsed.givenNpcIds : {},
-        stats: normalizeStats(parsed.stats),
+        ...data,
+        version: 5,
+        quests: accepted ? { "mikan-mood": { state: "active", step: 0, startedAt: now } } : {},
       };
+    },
+    // v5 → v6：商店每日庫存（今天買了幾個）
+    5: (data) => ({ ...data, version: 6, shop: { day: 0, bought: {} } }),
+    // v6 → v7：禮物對應到道具表（用名稱找），之後才能疊起來、分類、使用
+    6: (data) => {
+      // v7 當時道具表的名稱 → id（固定寫死：之後改名或拿掉道具不會影響舊存檔怎麼升級）
+      /** @type {Record<string, string>} */
+      const V7_ITEM_IDS = {
+        一小撮暖暖貓毛: "fur-mikan",
+        小黑的鬍鬚: "whisker-kuro",
+        櫻餅的故事鬍鬚: "whisker-sakura",
+        一撮雪白軟毛: "fur-shiro",
+        虎斑師傅的練功毛: "fur-tora",
+        小魚乾: "dried-fish",
+        溫牛奶: "warm-milk",
+        貓薄荷香包: "catnip-ward",
+        鈴鐺項圈: "bell-collar",
+        星星髮夾: "star-clip",
+        好心情蝴蝶結: "mood-ribbon",
+        小雪的毛毛枕頭: "shiro-pillow",
+        修行證書: "training-cert",
+      };
+      return {
+        ...data,
+        version: 7,
+        gifts: Array.isArray(data.gifts)
+          ? data.gifts.map((g) => {
+              if (!g || typeof g !== "object" || g.itemId) return g;
+              const id = Object.prototype.hasOwnProperty.call(V7_ITEM_IDS, g.name) ? V7_ITEM_IDS[g.name] : null;
+              return id ? { ...g, itemId: id } : g;
+            })
+          : data.gifts,
+      };
+    },
+    // v7 → v8：收藏冊；從現在的背包與「已收過禮物的 NPC」補記錄（之前賣掉的就找不回來了）
+    7: (data) => {
+      /** @type {Record<string, number>} */
+      const found = {};
+      for (const g of Array.isArray(data.gifts) ? data.gifts : []) {
+        if (g && typeof g.itemId === "string") found[g.itemId] = Math.min(found[g.itemId] ?? Infinity, toFiniteNumber(g.time, 0));
+      }
+      const given = data.givenNpcIds && typeof data.givenNpcIds === "object" ? data.givenNpcIds : {};
+      // v7 當時的 NPC → 禮物（固定寫死：之後增減 NPC 不會影響舊存檔怎麼升級）
+      const V7_NPC_GIFTS = {
+        "npc-mikan": "fur-mikan",
+        "npc-kuro": "whisker-kuro",
+        "npc-sakura": "whisker-sakura",
+        "npc-shiro": "fur-shiro",
+        "npc-tora": "fur-tora",
+      };
+      for (const [npcId, gift] of Object.entries(V7_NPC_GIFTS)) {
+        if (given[npcId] && found[gift] == null) found[gift] = 0;
+      }
+      return { ...data, version: 8, album: { found, completedAt: null } };
+    },
+    // v8 → v9：遊戲內時鐘；舊存檔從第 1 天早上開始（商店的「今天」也改用遊戲天數，所以庫存會補滿一次）
+    8: (data) => ({ ...data, version: 9, clock: { day: 1, minute: CLOCK.startHour * 60 } }),
+    // v9 → v10：天氣；day 0 表示還沒決定，進遊戲後照當時的時段決定
+    9: (data) => ({ ...data, version: 10, weather: { kind: "clear", heavy: false, day: 0, block: 0 } }),
+  };
+
+  /** @param {any} data */
+  function saveVersionOf(data) {
+    // v1 沒有 version 欄位
+    return Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+  }
+
+  /** @param {any} data */
+  function migrateSave(data) {
+    let cur = data;
+    let v = saveVersionOf(cur);
+    while (v < SAVE_VERSION) {
+      const migrate = SAVE_MIGRATIONS[v];
+      if (!migrate) throw new Error(`缺少存檔遷移：v${v} → v${v + 1}`);
+      cur = migrate(cur);
+      const next = saveVersionOf(cur);
+      if (next <= v) throw new Error(`存檔遷移沒有推進版本：v${v}`);
+      v = next;
+    }
+    return cur;
+  }
+
+  /** @param {any} g @returns {g is Gift} */
+  function isGift(g) {
+    return !!g && typeof g === "object" && typeof g.id === "string" && typeof g.name === "string";
+  }
+
+  const FACINGS = ["up", "down", "left", "right"];
+
+  /** 只保留數字欄位有效的項目；座標是否卡在牆裡要等載入時再救援 @param {any} raw @param {string[]} fields */
+  function normalizeEntitySnapshots(raw, fields) {
+    /** @type {Record<string, any>} */
+    const out = {};
+    if (!raw || typeof raw !== "object") return out;
+    for (const [id, v] of Object.entries(raw)) {
+      if (!v || typeof v !== "object") continue;
+      if (!fields.every((f) => Number.isFinite(v[f]))) continue;
+      out[id] = { ...v };
+    }
+    return out;
+  }
+
+  /** @param {any} raw @returns {WorldSnapshot | null} */
+  function normalizeWorld(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const p = raw.player;
+    if (!p || typeof p !== "object" || !Number.isFinite(p.x) || !Number.isFinite(p.y)) return null;
+    return {
+      ...raw,
+      scene: typeof raw.scene === "string" && raw.scene ? raw.scene : "village",
+      player: { x: p.x, y: p.y, facing: FACINGS.includes(p.facing) ? p.facing : "down" },
+      npcs: normalizeEntitySnapshots(raw.npcs, ["x", "y", "homeX", "homeY"]),
+      mobs: normalizeEntitySnapshots(raw.mobs, ["x", "y", "homeX", "homeY"]),
+      catnipWard: Number.isFinite(raw.catnipWard) ? Math.max(0, raw.catnipWard) : 0,
+    };
+  }
+
+  /** @param {any} raw @returns {Record<string, FlagValue>} */
+  function normalizeFlags(raw) {
+    /** @type {Record<string, FlagValue>} */
+    const out = {};
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+    for (const [k, v] of Object.entries(raw)) {
+      if (typeof v === "boolean" || typeof v === "string" || (typeof v === "number" && Number.isFinite(v))) out[k] = v;
+    }
+    return out;
+  }
+
+  /** 不認得的任務 id 也保留（可能是新版本的任務） @param {any} raw @returns {Record<string, QuestProgress>} */
+  function normalizeQuests(raw) {
+    /** @type {Record<string, QuestProgress>} */
+    const out = {};
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+    for (const [id, q] of Object.entries(raw)) {
+      if (!q || typeof q !== "object" || (q.state !== "active" && q.state !== "completed")) continue;
+      out[id] = {
+        ...q,
+        step: Math.max(0, Math.floor(toFiniteNumber(q.step, 0))),
+        startedAt: toFiniteNumber(q.startedAt, 0),
+      };
+    }
+    return out;
+  }
+
+  /** @param {any} raw @returns {ShopState} */
+  function normalizeShopState(raw) {
+    /** @type {Record<string, number>} */
+    const bought = {};
+    if (!raw || typeof raw !== "object") return { day: 0, bought };
+    if (raw.bought && typeof raw.bought === "object") {
+      for (const [id, n] of Object.entries(raw.bought)) {
+        const count = Math.floor(toFiniteNumber(n, 0));
+        if (count > 0) bought[id] = count;
+      }
+    }
+    return { ...raw, day: Math.floor(toFiniteNumber(raw.day, 0)), bought };
+  }
+
+  /** @param {any} raw @returns {AlbumState} */
+  function normalizeAlbum(raw) {
+    /** @type {Record<string, number>} */
+    const found = {};
+    if (!raw || typeof raw !== "object") return { found, completedAt: null };
+    if (raw.found && typeof raw.found === "object" && !Array.isArray(raw.found)) {
+      for (const [id, t] of Object.entries(raw.found)) found[id] = Math.max(0, toFiniteNumber(t, 0));
+    }
+    const completedAt = raw.completedAt == null ? null : toFiniteNumber(raw.completedAt, null);
+    return { ...raw, found, completedAt };
+  }
+
+  /** @param {any} raw @returns {ClockState} */
+  function normalizeClock(raw) {
+    const d = { day: 1, minute: CLOCK.startHour * 60 };
+    if (!raw || typeof raw !== "object") return d;
+    return {
+      ...raw,
+      day: Math.max(1, Math.floor(toFiniteNumber(raw.day, d.day))),
+      minute: clamp(toFiniteNumber(raw.minute, d.minute), 0, MINUTES_PER_DAY - 0.001),
+    };
+  }
+
+  /** @param {any} raw @returns {WeatherState} */
+  function normalizeWeather(raw) {
+    const d = { kind: /** @type {WeatherKind} */ ("clear"), heavy: false, day: 0, block: 0 };
+    if (!raw || typeof raw !== "object" || !WEATHER_KINDS.includes(raw.kind)) return d;
+    return {
+      ...raw,
+      kind: raw.kind,
+      heavy: raw.kind === "rain" && raw.heavy === true,
+      day: Math.max(0, Math.floor(toFiniteNumber(raw.day, 0))),
+      block: Math.max(0, Math.floor(toFiniteNumber(raw.block, 0))),
+    };
+  }
+
+  /** 已遷移到目前版本的資料 → 安全的 SaveData（保留不認得的欄位） @param {any} data @param {number} slot @returns {SaveData} */
+  function normalizeSave(data, slot) {
+    return {
+      ...data,
+      version: Math.max(SAVE_VERSION, saveVersionOf(data)),
+      meta: normalizeMeta(data.meta, slot),
+      gifts: Array.isArray(data.gifts) ? data.gifts.filter(isGift) : [],
+      givenNpcIds: data.givenNpcIds && typeof data.givenNpcIds === "object" ? data.givenNpcIds : {},
+      stats: normalizeStats(data.stats),
+      world: normalizeWorld(data.world),
+      flags: normalizeFlags(data.flags),
+      quests: normalizeQuests(data.quests),
+      shop: normalizeShopState(data.shop),
+      album: normalizeAlbum(data.album),
+      clock: normalizeClock(data.clock),
+      weather: normalizeWeather(data.weather),
+    };
+  }
+
+  /** @param {number} slot @returns {SaveData} */
+  function newSave(slot) {
+    return normalizeSave({ version: SAVE_VERSION }, slot);
+  }
+
+  /**
+   * 讀取某格存檔的原始 JSON（尚未遷移）。
+   * @param {number} slot
+   * @returns {{ status: "empty" } | { status: "ok"; data: any } | { status: "corrupt" }}
+   */
+  function readSlotRaw(slot) {
+    try {
+      const raw = storage?.get(slotKey(slot));
+      if (!raw) return { status: "empty" };
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return { status: "corrupt" };
+      return { status: "ok", data: parsed };
     } catch {
-      return { gifts: [], givenNpcIds: {}, stats: defaultStats() };
+      return { status: "corrupt" };
     }
   }
 
-  /** @param {SaveData} save */
-  function writeSave(save) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+  /** @param {number} slot @returns {SaveData} */
+  function loadSave(slot) {
+    const r = readSlotRaw(slot);
+    if (r.status !== "ok") return newSave(slot);
+    try {
+      return normalizeSave(migrateSave(r.data), slot);
+    } catch {
+      return newSave(slot);
+    }
   }
 
-  let save = loadSave();
+  /** 把舊版單一存檔搬到第一個空的存檔欄；存檔欄都滿了就先留著舊存檔，等有空位再搬 @param {Store} store */
+  function migrateLegacyStorage(store) {
+    const raw = store.get(LEGACY_STORAGE_KEY);
+    if (!raw) return;
+    for (let i = 1; i <= SAVE_SLOT_COUNT; i++) {
+      if (store.get(slotKey(i))) continue;
+      store.set(slotKey(i), raw);
+      store.remove(LEGACY_STORAGE_KEY);
+      return;
+    }
+  }
+
+  /** @param {Store} store */
+  function loadActiveSlot(store) {
+    const n = Number(store.get(ACTIVE_SLOT_KEY));
+    return Number.isInteger(n) && n >= 1 && n <= SAVE_SLOT_COUNT ? n : 1;
+  }
+
+  /** 重置中（準備重新整理頁面）：不要再把目前狀態寫回去 */
+  let savingSuspended = false;
+
+  /**
+   * 標記存檔需要寫入；實際序列化與寫入由儲存層合併後延遲執行，
+   * 所以連續扣血/加錢也只會寫一次。
+   * @param {SaveData} data
+   */
+  function writeSave(data) {
+    if (savingSuspended || !storage) return;
+    data.meta.lastPlayed = Date.now();
+    storage.set(slotKey(activeSlot), () => {
+      // 遊戲開始後每次存檔都順便記下世界快照（開始前的世界還不是這個存檔的）
+      if (gameStarted && data === save) data.world = captureWorldState();
+      return JSON.stringify(data);
+    });
+  }
+
+  // 儲存層準備好之前先用空白存檔（開始按鈕在準備好之前是停用的）
+  let activeSlot = 1;
+  let save = newSave(activeSlot);
 
   function hardReset() {
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.removeItem(FIRST_VISIT_KEY);
+    if (!storage) return;
+    savingSuspended = true;
+    removeSaveData(storage, slotKey(activeSlot));
+    storage.remove(FIRST_VISIT_KEY);
     // 清掉按鍵狀態，避免重整前卡鍵
     keys.clear();
-    window.location.reload();
+    storage.flush().finally(() => window.location.reload());
   }
 
   let gameStarted = false;
 
+  /**
+   * 自動備份：每個存檔欄各自保留最近幾份快照（環狀，最舊的會被擠掉）。
+   * 定時拍一份，另外在「全部售出」「重置」「匯入/還原」這類會覆蓋資料的動作前也拍一份。
+   */
+  /** @typedef {{ id: string; time: number; reason: string; save: SaveData }} SaveBackup */
+  const BACKUP_LIMIT = 8;
+  const BACKUP_INTERVAL_SECONDS = 120;
+
+  /** @param {number} slot @returns {SaveBackup[]} */
+  function loadBackups(slot) {
+    try {
+      const raw = storage?.get(backupKey(slot));
+      const list = raw ? JSON.parse(raw) : [];
+      if (!Array.isArray(list)) return [];
+      return list.filter(
+        (b) => b && typeof b.id === "string" && Number.isFinite(b.time) && b.save && typeof b.save === "object"
+      );
+    } catch {
+      return [];
+    }
+  }
+
+  /** 比對內容用：忽略 meta（最後遊玩時間每次都不同） @param {SaveData} data */
+  function backupFingerprint(data) {
+    const { meta, ...rest } = data;
+    return JSON.stringify(rest);
+  }
+
+  /** @param {string} reason */
+  function takeBackup(reason) {
+    if (!storage) return;
+    const snapshot = /** @type {SaveData} */ (JSON.parse(JSON.stringify(save)));
+    if (gameStarted) snapshot.world = captureWorldState();
+    const list = loadBackups(activeSlot);
+    // 定時備份時內容沒變就不佔位置（手動/危險動作前一律留一份）
+    const latest = list[0];
+    if (reason === "自動備份" && latest && backupFingerprint(latest.save) === backupFingerprint(snapshot)) return;
+    const time = Date.now();
+    list.unshift({ id: `bk-${time}-${Math.floor(Math.random() * 1e6)}`, time, reason, save: snapshot });
+    storage.set(backupKey(activeSlot), JSON.stringify(list.slice(0, BACKUP_LIMIT)));
+  }
+
   function updateGiftBadge() {
     ui.badgeGifts.textContent = `禮物：${save.gifts.length}`;
+    ui.badgeCollector.hidden = save.album.completedAt == null;
   }
 
   function updateStatsBadges() {
@@ -149,6 +973,150 @@
     save.stats.hp = clamp(save.stats.hp - Math.floor(amount), 0, save.stats.maxHp);
     writeSave(save);
     updateStatsBadges();
+    regenDelay = REGEN.hurtDelay;
+    if (save.stats.hp <= 0) enterDowned();
+  }
+
+  /** @param {string} key */
+  function getFlag(key) {
+    return save.flags[key];
+  }
+
+  /** @param {string} key @param {FlagValue} [value] */
+  function setFlag(key, value = true) {
+    save.flags[key] = value;
+    writeSave(save);
+  }
+
+  /** @param {{ name: string; desc: string; from: string; itemId?: string }} item @returns {Gift} */
+  function makeGift(item) {
+    const time = Date.now();
+    /** @type {Gift} */
+    const gift = {
+      id: `gift-${time}-${Math.floor(Math.random() * 1e6)}`,
+      name: item.name,
+      desc: item.desc,
+      from: item.from,
+      time,
+    };
+    if (item.itemId) gift.itemId = item.itemId;
+    return gift;
+  }
+
+  /** 收進背包（NPC 禮物、對話獎勵、商店購買都走這裡） @param {{ name: string; desc: string; from: string; itemId?: string }} item */
+  function addGift(item) {
+    save.gifts.push(makeGift(item));
+    if (item.itemId) recordInAlbum(item.itemId);
+    writeSave(save);
+    updateGiftBadge();
+  }
+
+  /** 照道具表放進背包 @param {string} itemId @param {string} from */
+  function addItem(itemId, from) {
+    const def = getItemDef(itemId);
+    if (!def) return;
+    addGift({ name: def.name, desc: def.desc, from, itemId: def.id });
+  }
+
+  /**
+   * 道具表：每種東西的分類、稀有度、疊加上限與使用效果。
+   * 背包存的是一件一件的 Gift（保留來源與時間），顯示時再依 itemId 疊起來。
+   */
+  /** @typedef {"material" | "consumable" | "key" | "cosmetic"} ItemCategory */
+  /** @typedef {"common" | "uncommon" | "rare" | "legendary"} ItemRarity */
+  /** @typedef {{ type: "heal"; amount: number } | { type: "ward"; seconds: number }} ItemUse */
+  /** @typedef {{ id: string; name: string; desc: string; category: ItemCategory; rarity: ItemRarity; stack: number; use?: ItemUse }} ItemDef */
+  const ITEM_CATEGORIES = /** @type {Record<ItemCategory, string>} */ ({
+    material: "材料",
+    consumable: "消耗品",
+    key: "重要物品",
+    cosmetic: "裝飾品",
+  });
+  const ITEM_RARITIES = /** @type {Record<ItemRarity, { label: string; rank: number }>} */ ({
+    common: { label: "普通", rank: 0 },
+    uncommon: { label: "少見", rank: 1 },
+    rare: { label: "稀有", rank: 2 },
+    legendary: { label: "傳說", rank: 3 },
+  });
+  /** @type {ItemDef[]} */
+  const ITEMS = [
+    // NPC 的禮物
+    { id: "fur-mikan", name: "一小撮暖暖貓毛", desc: "陽光味的毛毛，摸起來超蓬鬆。", category: "material", rarity: "common", stack: 20 },
+    { id: "whisker-kuro", name: "小黑的鬍鬚", desc: "筆直又有精神，像夜裡的星光。", category: "material", rarity: "uncommon", stack: 20 },
+    { id: "whisker-sakura", name: "櫻餅的故事鬍鬚", desc: "據說拿著它，說故事會變得更動聽。", category: "material", rarity: "uncommon", stack: 20 },
+    { id: "fur-shiro", name: "一撮雪白軟毛", desc: "柔柔的像棉花糖，聞起來像新洗的被子。", category: "material", rarity: "common", stack: 20 },
+    { id: "fur-tora", name: "虎斑師傅的練功毛", desc: "硬挺又有彈性，像是在說：再走一步。", category: "material", rarity: "rare", stack: 20 },
+    // 商店
+    { id: "dried-fish", name: "小魚乾", desc: "鹹鹹脆脆的點心，吃了 HP +20。", category: "consumable", rarity: "common", stack: 10, use: { type: "heal", amount: 20 } },
+    { id: "warm-milk", name: "溫牛奶", desc: "暖呼呼的一碗，喝完 HP +50。", category: "consumable", rarity: "uncommon", stack: 5, use: { type: "heal", amount: 50 } },
+    {
+      id: "catnip-ward",
+      name: "貓薄荷香包",
+      desc: "凶狠貓聞到會暈陶陶地走開，60 秒內不會抓你。",
+      category: "consumable",
+      rarity: "uncommon",
+      stack: 5,
+      use: { type: "ward", seconds: 60 },
+    },
+    { id: "bell-collar", name: "鈴鐺項圈", desc: "叮鈴叮鈴，走到哪裡大家都知道你來了。", category: "cosmetic", rarity: "rare", stack: 1 },
+    { id: "star-clip", name: "星星髮夾", desc: "亮晶晶的，夜裡好像會發光。", category: "cosmetic", rarity: "rare", stack: 1 },
+    // 任務獎勵
+    { id: "mood-ribbon", name: "好心情蝴蝶結", desc: "蜜柑親手打的結，戴上會忍不住微笑。", category: "cosmetic", rarity: "uncommon", stack: 1 },
+    { id: "shiro-pillow", name: "小雪的毛毛枕頭", desc: "軟到會陷進去，聞起來有陽光跟新被子的味道。", category: "key", rarity: "rare", stack: 1 },
+    { id: "training-cert", name: "修行證書", desc: "虎斑師傅蓋了肉球印，說你的腳步穩多了。", category: "key", rarity: "legendary", stack: 1 },
+    // 工作台做出來的
+    { id: "luck-charm", name: "幸運護身符", desc: "暖暖貓毛纏著一根鬍鬚，據說能看清好運在哪。", category: "cosmetic", rarity: "rare", stack: 5 },
+    { id: "story-quill", name: "說故事羽毛筆", desc: "雪白軟毛綁上故事鬍鬚，寫什麼都像童話。", category: "cosmetic", rarity: "rare", stack: 5 },
+    {
+      id: "energy-ball",
+      name: "練功能量丸",
+      desc: "練功毛捲著小魚乾，嚼一嚼就有力氣（HP +40）。",
+      category: "consumable",
+      rarity: "uncommon",
+      stack: 10,
+      use: { type: "heal", amount: 40 },
+    },
+    { id: "rainbow-pompom", name: "五色毛毛球", desc: "集合村裡五隻貓的心意，軟綿綿又閃閃發亮。", category: "cosmetic", rarity: "legendary", stack: 1 },
+  ];
+
+  /** @param {string | undefined} id */
+  function getItemDef(id) {
+    return ITEMS.find((it) => it.id === id) ?? null;
+  }
+
+  /** 舊存檔的禮物只有名稱 @param {unknown} name */
+  function findItemByName(name) {
+    return ITEMS.find((it) => it.name === name) ?? null;
+  }
+
+  /** 不在道具表裡的東西（舊版本、對話臨時給的）當成普通材料 @param {Gift} g @returns {ItemDef} */
+  function itemDefOf(g) {
+    return (
+      getItemDef(g.itemId) ??
+      findItemByName(g.name) ?? { id: `gift:${g.name}`, name: g.name, desc: g.desc, category: "material", rarity: "common", stack: 20 }
+    );
+  }
+
+  /** @param {string} itemId */
+  function countItems(itemId) {
+    return save.gifts.filter((g) => itemDefOf(g).id === itemId).length;
+  }
+
+  /** 從背包拿走指定數量（先拿最舊的） @param {string} itemId @param {number} count */
+  function takeItems(itemId, count) {
+    const ids = save.gifts
+      .filter((g) => itemDefOf(g).id === itemId)
+      .sort((a, b) => a.time - b.time)
+      .slice(0, count)
+      .map((g) => g.id);
+    save.gifts = save.gifts.filter((g) => !ids.includes(g.id));
+    writeSave(save);
+    updateGiftBadge();
+  }
+
+  /** @param {Gift} g 重要物品不能賣 */
+  function isSellable(g) {
+    return itemDefOf(g).category !== "key";
   }
 
   function hashStringToInt(s) {
@@ -160,129 +1128,944 @@
     return h >>> 0;
   }
 
-  /** @param {Gift} g */
-  function giftSellPrice(g) {
-    // 簡單可預測的定價（不要每次刷新亂跳）
-    const seed = hashStringToInt(`${g.name}|${g.from}`);
-    return 8 + (seed % 9); // 8~16
+  /**
+   * 收購行情：價格由「第幾天 + 道具」決定（同一天怎麼刷新都一樣，隔天才會變），
+   * 有些天會有市場活動，讓某些東西特別好賣或特別難賣。
+   */
+  /** @typedef {{ id: string; text: string; mult: number; match: (def: ItemDef) => boolean }} MarketEvent */
+  /** @type {MarketEvent[]} */
+  const MARKET_EVENTS = [
+    { id: "whisker-boom", text: "今天鬍鬚特價收購（×1.8）", mult: 1.8, match: (def) => def.id.startsWith("whisker-") },
+    { id: "fur-fair", text: "毛毛市集：貓毛收購價提高（×1.5）", mult: 1.5, match: (def) => def.id.startsWith("fur-") },
+    { id: "cosmetic-craze", text: "裝飾品大流行，收購價翻倍（×2）", mult: 2, match: (def) => def.category === "cosmetic" },
+    { id: "material-glut", text: "材料太多了，今天收購價打七折", mult: 0.7, match: (def) => def.category === "material" },
+  ];
+  /** 大約幾成的日子會有活動（0~100） */
+  const MARKET_EVENT_CHANCE = 40;
+  /** @type {Record<ItemRarity, number>} */
+  const RARITY_BASE_PRICE = { common: 10, uncommon: 13, rare: 18, legendary: 26 };
+
+  /** @param {number} day @returns {MarketEvent | null} */
+  function marketEventOn(day) {
+    if (hashStringToInt(`market|${day}`) % 100 >= MARKET_EVENT_CHANCE) return null;
+    return MARKET_EVENTS[hashStringToInt(`market-event|${day}`) % MARKET_EVENTS.length];
+  }
+
+  /** @param {ItemDef} def @param {number} day */
+  function itemSellPrice(def, day) {
+    // 商店買來的東西固定半價回收（避免買低賣高）
+    const stock = getStockItem(def.id);
+    if (stock) return Math.max(1, Math.floor(stock.price / 2));
+    // 每天 ±30% 的波動
+    const swing = 0.7 + (hashStringToInt(`${day}|${def.id}`) % 61) / 100;
+    const event = marketEventOn(day);
+    const boost = event && event.match(def) ? event.mult : 1;
+    return Math.max(1, Math.round(RARITY_BASE_PRICE[def.rarity] * swing * boost));
+  }
+
+  /** @param {Gift} g @param {number} [day] */
+  function giftSellPrice(g, day = currentDay()) {
+    return itemSellPrice(itemDefOf(g), day);
+  }
+
+  /** 最後一次在 HUD 宣布市場活動的是哪一天 */
+  let marketAnnouncedDay = -1;
+
+  function announceMarketEvent() {
+    const day = currentDay();
+    if (marketAnnouncedDay === day) return;
+    marketAnnouncedDay = day;
+    const event = marketEventOn(day);
+    if (event) setHintTemp(`市場消息：${event.text}`, 4);
+  }
+
+  /**
+   * 商店購買：每樣東西有價格與每日庫存（隔天補貨）。
+   * 名稱、說明與效果都從道具表 ITEMS 來。
+   */
+  /** @typedef {{ id: string; price: number; dailyStock: number }} ShopStockItem */
+  /** @type {ShopStockItem[]} */
+  const SHOP_STOCK = [
+    { id: "dried-fish", price: 12, dailyStock: 5 },
+    { id: "warm-milk", price: 25, dailyStock: 3 },
+    { id: "catnip-ward", price: 30, dailyStock: 2 },
+    { id: "bell-collar", price: 60, dailyStock: 1 },
+    { id: "star-clip", price: 45, dailyStock: 1 },
+  ];
+
+  /** @param {string | undefined} id */
+  function getStockItem(id) {
+    return SHOP_STOCK.find((it) => it.id === id) ?? null;
+  }
+
+  /** 遊戲裡的第幾天（存在存檔的 clock；換日就補貨、換收購價） */
+  function currentDay() {
+    return save.clock.day;
+  }
+
+  /** 遊戲內現在幾點（0～24，有小數） */
+  function clockHour() {
+    return save.clock.minute / 60;
+  }
+
+  /** HUD 用：「第 3 天 07:05」 */
+  function formatClock() {
+    const m = Math.floor(save.clock.minute);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `第 ${save.clock.day} 天 ${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+  }
+
+  function updateClockBadge() {
+    const text = `${formatClock()}${TIME_OF_DAY_ICONS[currentTimeOfDay()]}`;
+    if (ui.badgeClock.textContent !== text) ui.badgeClock.textContent = text;
+  }
+
+  /** @type {Record<TimeOfDay, string>} */
+  const TIME_OF_DAY_ICONS = { morning: " 🌤", noon: " ☀️", evening: " 🌇", night: " 🌙" };
+
+  /** 讓時鐘往前走（dt 是現實秒數）；過了半夜就換日 @param {number} dt */
+  function advanceClock(dt) {
+    save.clock.minute += (dt * MINUTES_PER_DAY) / (CLOCK.realMinutesPerDay * 60);
+    if (save.clock.minute >= MINUTES_PER_DAY) {
+      save.clock.minute -= MINUTES_PER_DAY;
+      save.clock.day += 1;
+      startNewDay();
+    }
+    updateClockBadge();
+  }
+
+  /** 換日：商店補貨、宣布當天的市場活動 */
+  function startNewDay() {
+    refreshShopDay();
+    if (isShopOpen()) renderShop();
+    setHintTemp(`新的一天開始了（第 ${save.clock.day} 天）`, 2.4);
+    announceMarketEvent();
+    writeSave(save);
+  }
+
+  /** 換日時清掉「今天買了幾個」 */
+  function refreshShopDay() {
+    const today = currentDay();
+    if (save.shop.day === today) return;
+    save.shop = { ...save.shop, day: today, bought: {} };
+    writeSave(save);
+  }
+
+  /** @type {Record<WeatherKind, { name: string; icon: string; weight: number; hint: string }>} */
+  const WEATHER_TYPES = {
+    clear: { name: "晴", icon: "", weight: 50, hint: "天氣放晴了" },
+    rain: { name: "雨", icon: " 🌧", weight: 25, hint: "開始下雨了" },
+    snow: { name: "雪", icon: " ❄️", weight: 10, hint: "開始下雪了" },
+    fog: { name: "霧", icon: " 🌫", weight: 15, hint: "起霧了…盜賊好像變大膽了" },
+  };
+  const HEAVY_RAIN_HINT = "下起大雨了，怪物都躲回窩裡了";
+
+  /** 某天某段的天氣（同一段怎麼算都一樣）；第 1 天一定是晴天 @param {number} day @param {number} block @returns {{ kind: WeatherKind; heavy: boolean }} */
+  function rollWeather(day, block) {
+    if (WEATHER.force) return { ...WEATHER.force };
+    if (day <= 1) return { kind: "clear", heavy: false };
+    const total = WEATHER_KINDS.reduce((n, k) => n + WEATHER_TYPES[k].weight, 0);
+    let n = hashStringToInt(`weather|${day}|${block}`) % total;
+    for (const kind of WEATHER_KINDS) {
+      n -= WEATHER_TYPES[kind].weight;
+      if (n < 0) return { kind, heavy: kind === "rain" && hashStringToInt(`weather-heavy|${day}|${block}`) % 100 < WEATHER.heavyRainChance };
+    }
+    return { kind: "clear", heavy: false };
+  }
+
+  /** @param {WeatherKind} kind */
+  function weatherIs(kind) {
+    return save.weather.kind === kind;
+  }
+
+  function isHeavyRain() {
+    return save.weather.kind === "rain" && save.weather.heavy;
+  }
+
+  function weatherName() {
+    return isHeavyRain() ? "大雨" : WEATHER_TYPES[save.weather.kind].name;
+  }
+
+  function updateWeatherBadge() {
+    const text = `天氣：${weatherName()}${WEATHER_TYPES[save.weather.kind].icon}`;
+    if (ui.badgeWeather.textContent !== text) ui.badgeWeather.textContent = text;
+  }
+
+  /** 時段換了就換天氣（存檔記著這段的天氣，重新整理也一樣） */
+  function updateWeather() {
+    const day = currentDay();
+    const block = Math.floor(clockHour() / WEATHER.blockHours);
+    const prev = save.weather;
+    const forced = WEATHER.force && (WEATHER.force.kind !== prev.kind || WEATHER.force.heavy !== prev.heavy);
+    if (prev.day !== day || prev.block !== block || forced) {
+      const next = rollWeather(day, block);
+      save.weather = { ...next, day, block };
+      // 舊存檔第一次決定天氣時不用特別提示
+      if (prev.day !== 0 && (next.kind !== prev.kind || next.heavy !== prev.heavy)) {
+        setHintTemp(next.heavy ? HEAVY_RAIN_HINT : WEATHER_TYPES[next.kind].hint, 2.4);
+      }
+      writeSave(save);
+    }
+    updateWeatherBadge();
+  }
+
+  /** @param {ShopStockItem} it */
+  function stockLeft(it) {
+    return Math.max(0, it.dailyStock - (save.shop.bought[it.id] ?? 0));
+  }
+
+  /** @typedef {"buy" | "sell" | "market"} ShopTab */
+  /** ←→ 切換的順序 @type {ShopTab[]} */
+  const SHOP_TABS = ["buy", "sell", "market"];
+  /** @type {ShopTab} */
+  let shopTab = "sell";
+
+  /** @param {string} text @param {"info"|"error"} [kind] */
+  function showShopNotice(text, kind = "info") {
+    ui.shopNotice.textContent = text;
+    ui.shopNotice.hidden = !text;
+    ui.shopNotice.classList.toggle("inventory__notice--error", kind === "error");
+  }
+
+  /** @param {ShopTab} tab */
+  function setShopTab(tab) {
+    if (shopTab === tab) return;
+    shopTab = tab;
+    showShopNotice("");
+    renderShop();
+  }
+
+  /** 商店清單的一列：左邊名稱/說明，右邊價格 + 按鈕 */
+  function shopRow(title, detail, priceText, button) {
+    const li = document.createElement("li");
+    li.className = "inventory__item";
+
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.justifyContent = "space-between";
+    row.style.gap = "10px";
+    row.style.alignItems = "center";
+
+    const left = document.createElement("div");
+    left.style.minWidth = "0";
+
+    const name = document.createElement("div");
+    name.className = "inventory__itemName";
+    name.textContent = title;
+
+    const desc = document.createElement("div");
+    desc.className = "inventory__itemDesc";
+    desc.textContent = detail;
+
+    left.appendChild(name);
+    left.appendChild(desc);
+
+    const right = document.createElement("div");
+    right.style.display = "flex";
+    right.style.flexDirection = "column";
+    right.style.alignItems = "flex-end";
+    right.style.gap = "6px";
+
+    const priceTag = document.createElement("div");
+    priceTag.className = "inventory__itemDesc";
+    priceTag.textContent = priceText;
+
+    right.appendChild(priceTag);
+    right.appendChild(button);
+
+    row.appendChild(left);
+    row.appendChild(right);
+    li.appendChild(row);
+    return { li, priceTag };
   }
 
   function renderShop() {
-    const gifts = save.gifts.slice().sort((a, b) => b.time - a.time);
+    ui.shopTabBuy.setAttribute("aria-selected", shopTab === "buy" ? "true" : "false");
+    ui.shopTabSell.setAttribute("aria-selected", shopTab === "sell" ? "true" : "false");
+    ui.shopTabMarket.setAttribute("aria-selected", shopTab === "market" ? "true" : "false");
+    ui.shopSellAll.hidden = shopTab !== "sell";
     ui.shopList.innerHTML = "";
+    if (shopTab === "buy") renderShopBuy();
+    else if (shopTab === "market") renderShopMarket();
+    else renderShopSell();
+  }
+
+  function renderShopBuy() {
+    refreshShopDay();
+    ui.shopMeta.textContent = `你有 ${save.stats.coins} 金幣。每天的庫存有限，隔天會補貨。`;
+    for (const it of SHOP_STOCK) {
+      const def = getItemDef(it.id);
+      if (!def) continue;
+      const left = stockLeft(it);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "inventory__close";
+      btn.textContent = left > 0 ? "購買" : "賣完了";
+      btn.disabled = left <= 0;
+      btn.dataset.stockId = it.id;
+
+      const detail = `${def.desc}（${ITEM_CATEGORIES[def.category]}・今天剩 ${left} 個）`;
+      const { li, priceTag } = shopRow(def.name, detail, `價格：${it.price} 金幣`, btn);
+      if (save.stats.coins < it.price) priceTag.classList.add("shop__price--short");
+      ui.shopList.appendChild(li);
+    }
+  }
+
+  function renderShopSell() {
+    const gifts = save.gifts.filter(isSellable).sort((a, b) => b.time - a.time);
     if (gifts.length === 0) {
       ui.shopMeta.textContent = "目前沒有禮物可以售出。去跟貓咪 NPC 聊聊天吧！";
       ui.shopSellAll.disabled = true;
       return;
     }
     ui.shopSellAll.disabled = false;
-    ui.shopMeta.textContent = `今天收購價已標示（共 ${gifts.length} 件）。`;
+    const event = marketEventOn(currentDay());
+    ui.shopMeta.textContent = `今天收購價已標示（共 ${gifts.length} 件）。${event ? `市場消息：${event.text}。` : ""}價格每天會變，可以到「行情」看看。`;
     for (const g of gifts) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "inventory__close";
+      btn.textContent = "售出";
+      btn.dataset.giftId = g.id;
+
+      const { li } = shopRow(g.name, `${g.desc}（來自：${g.from}）`, `售價：${giftSellPrice(g)} 金幣`, btn);
+      ui.shopList.appendChild(li);
+    }
+  }
+
+  /** 行情圖顯示最近幾天 */
+  const MARKET_HISTORY_DAYS = 7;
+
+  function renderShopMarket() {
+    const today = currentDay();
+    const event = marketEventOn(today);
+    ui.shopMeta.textContent = event ? `市場消息：${event.text}` : "今天沒有特別的市場活動。";
+    const owned = new Set(save.gifts.map((g) => itemDefOf(g).id));
+    // 商店自己賣的東西價格固定，不列進行情
+    const defs = ITEMS.filter((def) => def.category !== "key" && !getStockItem(def.id)).sort(
+      (a, b) => Number(owned.has(b.id)) - Number(owned.has(a.id))
+    );
+    for (const def of defs) {
+      const prices = [];
+      for (let d = today - MARKET_HISTORY_DAYS + 1; d <= today; d++) prices.push(itemSellPrice(def, d));
+      const max = Math.max(...prices);
+      const min = Math.min(...prices);
+
       const li = document.createElement("li");
       li.className = "inventory__item";
+      const name = document.createElement("div");
+      name.className = "inventory__itemName";
+      name.textContent = owned.has(def.id) ? `${def.name}（背包裡有）` : def.name;
+      const desc = document.createElement("div");
+      desc.className = "inventory__itemDesc";
+      const todayPrice = prices[prices.length - 1];
+      const hint = todayPrice === max ? "・今天是這幾天最高價！" : todayPrice === min ? "・今天偏低，可以再等等" : "";
+      desc.textContent = `今天 ${todayPrice} 金幣（${MARKET_HISTORY_DAYS} 天內：最低 ${min}・最高 ${max}）${hint}`;
+
+      const chart = document.createElement("div");
+      chart.className = "market__chart";
+      chart.setAttribute("aria-hidden", "true");
+      prices.forEach((p, i) => {
+        const bar = document.createElement("span");
+        const ago = prices.length - 1 - i;
+        bar.className = ago === 0 ? "market__bar market__bar--today" : "market__bar";
+        bar.style.height = `${Math.round(20 + (80 * p) / max)}%`;
+        bar.title = `${ago === 0 ? "今天" : ago === 1 ? "昨天" : `${ago} 天前`}：${p} 金幣`;
+        chart.appendChild(bar);
+      });
 
-      const row = document.createElement("div");
-      row.style.display = "flex";
-      row.style.justifyContent = "space-between";
-      row.style.gap = "10px";
-      row.style.alignItems = "center";
+      li.appendChild(name);
+      li.appendChild(desc);
+      li.appendChild(chart);
+      ui.shopList.appendChild(li);
+    }
+  }
 
-      const left = document.createElement("div");
-      left.style.minWidth = "0";
+  /** @param {string} id */
+  function buyStockItem(id) {
+    const it = getStockItem(id);
+    const def = getItemDef(id);
+    if (!it || !def) return;
+    refreshShopDay();
+    if (stockLeft(it) <= 0) {
+      showShopNotice(`「${def.name}」今天賣完了，明天再來看看吧。`, "error");
+      renderShop();
+      return;
+    }
+    if (save.stats.coins < it.price) {
+      showShopNotice(`錢幣不夠：「${def.name}」要 ${it.price} 金幣，還差 ${it.price - save.stats.coins}。`, "error");
+      return;
+    }
+    save.shop.bought[it.id] = (save.shop.bought[it.id] ?? 0) + 1;
+    takeCoins(it.price);
+    addItem(def.id, "商店");
+    showShopNotice(`買到了「${def.name}」，已放進背包${def.use ? "（在背包裡可以使用）" : ""}。`);
+    renderShop();
+    if (isInventoryOpen()) renderInventory();
+  }
+
+  /** 貓薄荷香包剩下的秒數（跟著世界快照存檔） */
+  let catnipWard = 0;
+
+  /** 使用消耗品（一次用掉一個，先用最舊的） @param {string} itemId */
+  function useItem(itemId) {
+    const def = getItemDef(itemId);
+    const use = def?.use;
+    if (!def || !use || countItems(itemId) === 0) return;
+    if (use.type === "heal") {
+      if (save.stats.hp >= save.stats.maxHp) {
+        showInventoryNotice("HP 已經是滿的，先留著吧。");
+        return;
+      }
+      heal(use.amount);
+      showInventoryNotice(`享用了「${def.name}」，HP 回復到 ${save.stats.hp}/${save.stats.maxHp}。`);
+    } else if (use.type === "ward") {
+      catnipWard = Math.max(catnipWard, use.seconds);
+      showInventoryNotice(`打開了「${def.name}」，${use.seconds} 秒內凶狠貓不會靠近你。`);
+      setHintTemp("貓薄荷香包生效中：凶狠貓會躲開你", 3);
+    }
+    takeItems(itemId, 1);
+    renderInventory();
+  }
+
+  /** @param {string} id */
+  function sellGiftById(id) {
+    const idx = save.gifts.findIndex((g) => g.id === id);
+    if (idx < 0) return;
+    const g = save.gifts[idx];
+    const price = giftSellPrice(g);
+    save.gifts.splice(idx, 1);
+    save.stats.coins = Math.max(0, save.stats.coins + price);
+    writeSave(save);
+    updateGiftBadge();
+    updateStatsBadges();
+    renderShop();
+    if (isInventoryOpen()) renderInventory();
+  }
+
+  function sellAllGifts() {
+    const sellable = save.gifts.filter(isSellable);
+    if (sellable.length === 0) return;
+    takeBackup("全部售出前");
+    let total = 0;
+    for (const g of sellable) total += giftSellPrice(g);
+    save.gifts = save.gifts.filter((g) => !isSellable(g));
+    save.stats.coins = Math.max(0, save.stats.coins + total);
+    writeSave(save);
+    updateGiftBadge();
+    updateStatsBadges();
+    renderShop();
+    if (isInventoryOpen()) renderInventory();
+  }
 
+  /** @typedef {{ def: ItemDef; count: number; latest: number; from: string[] }} ItemStack */
+  /** 同一種東西疊在一起；超過疊加上限就分成好幾疊 @returns {ItemStack[]} */
+  function inventoryStacks() {
+    /** @type {Map<string, { def: ItemDef; gifts: Gift[] }>} */
+    const byId = new Map();
+    for (const g of save.gifts) {
+      const def = itemDefOf(g);
+      const entry = byId.get(def.id) ?? { def, gifts: [] };
+      entry.gifts.push(g);
+      byId.set(def.id, entry);
+    }
+    /** @type {ItemStack[]} */
+    const stacks = [];
+    for (const { def, gifts } of byId.values()) {
+      gifts.sort((a, b) => b.time - a.time);
+      const size = Math.max(1, def.stack);
+      for (let i = 0; i < gifts.length; i += size) {
+        const part = gifts.slice(i, i + size);
+        stacks.push({ def, count: part.length, latest: part[0].time, from: [...new Set(part.map((g) => g.from))] });
+      }
+    }
+    return stacks;
+  }
+
+  /** @type {Record<string, (a: ItemStack, b: ItemStack) => number>} */
+  const INVENTORY_SORTS = {
+    recent: (a, b) => b.latest - a.latest,
+    rarity: (a, b) => ITEM_RARITIES[b.def.rarity].rank - ITEM_RARITIES[a.def.rarity].rank || b.latest - a.latest,
+    name: (a, b) => a.def.name.localeCompare(b.def.name, "zh-Hant"),
+    count: (a, b) => b.count - a.count || b.latest - a.latest,
+  };
+
+  function renderInventory() {
+    ui.inventoryList.innerHTML = "";
+    if (save.gifts.length === 0) {
+      ui.inventoryMeta.textContent = "目前沒有禮物。去跟貓咪 NPC 聊聊天吧！";
+      return;
+    }
+    const filter = ui.inventoryFilter.value;
+    const sort = INVENTORY_SORTS[ui.inventorySort.value] ?? INVENTORY_SORTS.recent;
+    const stacks = inventoryStacks()
+      .filter((st) => filter === "all" || st.def.category === filter)
+      .sort(sort);
+    ui.inventoryMeta.textContent =
+      filter === "all"
+        ? `共 ${save.gifts.length} 件東西（會自動存檔在瀏覽器）。`
+        : `${ITEM_CATEGORIES[/** @type {ItemCategory} */ (filter)] ?? ""}：${stacks.reduce((n, st) => n + st.count, 0)} 件（全部共 ${save.gifts.length} 件）。`;
+    if (stacks.length === 0) {
+      const li = document.createElement("li");
+      li.className = "inventory__itemDesc";
+      li.textContent = "這個分類裡還沒有東西。";
+      ui.inventoryList.appendChild(li);
+      return;
+    }
+    for (const st of stacks) {
+      const li = document.createElement("li");
+      li.className = "inventory__item";
       const name = document.createElement("div");
       name.className = "inventory__itemName";
-      name.textContent = g.name;
-
+      name.textContent = st.def.name;
+      if (st.count > 1) {
+        const count = document.createElement("span");
+        count.className = "inventory__count";
+        count.textContent = ` ×${st.count}`;
+        name.appendChild(count);
+      }
+      const tags = document.createElement("div");
+      tags.className = "inventory__tags";
+      const rarity = document.createElement("span");
+      rarity.className = `inventory__tag inventory__tag--${st.def.rarity}`;
+      rarity.textContent = ITEM_RARITIES[st.def.rarity].label;
+      const category = document.createElement("span");
+      category.className = "inventory__tag";
+      category.textContent = ITEM_CATEGORIES[st.def.category];
+      tags.appendChild(rarity);
+      tags.appendChild(category);
       const desc = document.createElement("div");
       desc.className = "inventory__itemDesc";
-      desc.textContent = `${g.desc}（來自：${g.from}）`;
-
-      left.appendChild(name);
-      left.appendChild(desc);
+      desc.textContent = `${st.def.desc}（來自：${st.from.join("、")}）`;
+      li.appendChild(name);
+      li.appendChild(tags);
+      li.appendChild(desc);
+      if (st.def.use) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "inventory__close inventory__use";
+        btn.textContent = "使用";
+        btn.dataset.useItemId = st.def.id;
+        li.appendChild(btn);
+      }
+      ui.inventoryList.appendChild(li);
+    }
+  }
 
-      const right = document.createElement("div");
-      right.style.display = "flex";
-      right.style.flexDirection = "column";
-      right.style.alignItems = "flex-end";
-      right.style.gap = "6px";
+  /**
+   * 收藏冊：記下每一種拿過的東西（賣掉也還在）。
+   * 村民的禮物是主要收藏，沒找到的顯示剪影與「誰會送」的提示；集滿有獎勵與徽章。
+   */
+  const ALBUM_REWARD_COINS = 50;
 
-      const price = giftSellPrice(g);
-      const priceTag = document.createElement("div");
-      priceTag.className = "inventory__itemDesc";
-      priceTag.textContent = `售價：${price} 金幣`;
+  /** 收藏冊上的格子：每隻 NPC 的禮物 */
+  function albumEntries() {
+    return npcs.filter((npc) => npc.gift).map((npc) => ({ npc, def: getItemDef(npc.gift) })).filter((e) => e.def);
+  }
 
-      const btn = document.createElement("button");
-      btn.type = "button";
-      btn.className = "inventory__close";
-      btn.textContent = "售出";
-      btn.dataset.giftId = g.id;
+  /** @param {string} itemId */
+  function recordInAlbum(itemId) {
+    if (save.album.found[itemId] != null) return;
+    save.album.found[itemId] = Date.now();
+    checkAlbumComplete();
+    if (isAlbumOpen()) renderAlbum();
+  }
 
-      right.appendChild(priceTag);
-      right.appendChild(btn);
+  function checkAlbumComplete() {
+    if (save.album.completedAt != null) return;
+    if (!albumEntries().every((e) => save.album.found[e.npc.gift] != null)) return;
+    save.album.completedAt = Date.now();
+    addCoins(ALBUM_REWARD_COINS);
+    updateGiftBadge();
+    setHintTemp(`收藏冊集滿了！獲得「收藏家」徽章與 ${ALBUM_REWARD_COINS} 金幣`, 4);
+  }
 
-      row.appendChild(left);
-      row.appendChild(right);
-      li.appendChild(row);
-      ui.shopList.appendChild(li);
+  function renderAlbum() {
+    const entries = albumEntries();
+    const found = entries.filter((e) => save.album.found[e.npc.gift] != null).length;
+    ui.albumList.innerHTML = "";
+    ui.albumMeta.textContent =
+      save.album.completedAt != null
+        ? `村民的禮物：${found}/${entries.length}　已集滿！你是村裡的「收藏家」（${formatDateTime(save.album.completedAt)}）`
+        : `村民的禮物：${found}/${entries.length}　集滿可以拿到徽章與 ${ALBUM_REWARD_COINS} 金幣。`;
+    for (const { npc, def } of entries) {
+      const t = save.album.found[npc.gift];
+      const li = document.createElement("li");
+      li.className = t != null ? "album__card" : "album__card album__card--missing";
+      const icon = document.createElement("div");
+      icon.className = "album__icon";
+      icon.textContent = t != null ? "🎁" : "？";
+      const name = document.createElement("div");
+      name.className = "inventory__itemName";
+      name.textContent = t != null ? def.name : "？？？";
+      const desc = document.createElement("div");
+      desc.className = "inventory__itemDesc";
+      if (t == null) desc.textContent = `聽說${npc.name}會送人小禮物。`;
+      else desc.textContent = `${def.desc}（來自：${npc.name}${t > 0 ? `・${formatDateTime(t)}` : ""}）`;
+      li.appendChild(icon);
+      li.appendChild(name);
+      li.appendChild(desc);
+      ui.albumList.appendChild(li);
     }
+    const albumIds = new Set(entries.map((e) => e.npc.gift));
+    const others = Object.keys(save.album.found).filter((id) => !albumIds.has(id) && getItemDef(id));
+    ui.albumOthers.textContent =
+      others.length > 0 ? `其他發現（${others.length}）：${others.map((id) => getItemDef(id)?.name).join("、")}` : "";
+  }
+
+  /**
+   * 工作台（在虎斑師傅旁邊）：照配方把背包裡的材料合成新東西。
+   * 材料不夠就什麼都不扣；夠的話一次換掉背包內容，不會只扣一半。
+   */
+  /** @typedef {{ item: string; count: number }} RecipeIngredient */
+  /** @typedef {{ id: string; result: string; count?: number; ingredients: RecipeIngredient[] }} Recipe */
+  /** @type {Recipe[]} */
+  const RECIPES = [
+    {
+      id: "luck-charm",
+      result: "luck-charm",
+      ingredients: [
+        { item: "fur-mikan", count: 1 },
+        { item: "whisker-kuro", count: 1 },
+      ],
+    },
+    {
+      id: "story-quill",
+      result: "story-quill",
+      ingredients: [
+        { item: "whisker-sakura", count: 1 },
+        { item: "fur-shiro", count: 1 },
+      ],
+    },
+    {
+      id: "energy-ball",
+      result: "energy-ball",
+      count: 2,
+      ingredients: [
+        { item: "fur-tora", count: 1 },
+        { item: "dried-fish", count: 2 },
+      ],
+    },
+    {
+      id: "rainbow-pompom",
+      result: "rainbow-pompom",
+      ingredients: [
+        { item: "fur-mikan", count: 1 },
+        { item: "whisker-kuro", count: 1 },
+        { item: "whisker-sakura", count: 1 },
+        { item: "fur-shiro", count: 1 },
+        { item: "fur-tora", count: 1 },
+      ],
+    },
+  ];
+
+  const CRAFT_FROM = "虎斑的工作台";
+
+  /** @param {Recipe} r */
+  function missingIngredients(r) {
+    return r.ingredients.filter((ing) => countItems(ing.item) < ing.count);
+  }
+
+  /** @param {string} text @param {"info"|"error"} [kind] */
+  function showCraftNotice(text, kind = "info") {
+    ui.craftNotice.textContent = text;
+    ui.craftNotice.hidden = !text;
+    ui.craftNotice.classList.toggle("inventory__notice--error", kind === "error");
   }
 
   /** @param {string} id */
-  function sellGiftById(id) {
-    const idx = save.gifts.findIndex((g) => g.id === id);
-    if (idx < 0) return;
-    const g = save.gifts[idx];
-    const price = giftSellPrice(g);
-    save.gifts.splice(idx, 1);
-    save.stats.coins = Math.max(0, save.stats.coins + price);
+  function craftRecipe(id) {
+    const r = RECIPES.find((x) => x.id === id);
+    const def = r ? getItemDef(r.result) : null;
+    if (!r || !def) return;
+    const missing = missingIngredients(r);
+    if (missing.length > 0) {
+      const names = missing.map((ing) => `${getItemDef(ing.item)?.name ?? ing.item}×${ing.count - countItems(ing.item)}`);
+      showCraftNotice(`材料不夠：還缺 ${names.join("、")}。`, "error");
+      return;
+    }
+    // 先決定要用掉哪幾件（先用最舊的），再一次換掉背包
+    const used = new Set();
+    for (const ing of r.ingredients) {
+      save.gifts
+        .filter((g) => itemDefOf(g).id === ing.item && !used.has(g.id))
+        .sort((a, b) => a.time - b.time)
+        .slice(0, ing.count)
+        .forEach((g) => used.add(g.id));
+    }
+    const made = Array.from({ length: r.count ?? 1 }, () =>
+      makeGift({ name: def.name, desc: def.desc, from: CRAFT_FROM, itemId: def.id })
+    );
+    save.gifts = save.gifts.filter((g) => !used.has(g.id)).concat(made);
+    recordInAlbum(def.id);
     writeSave(save);
     updateGiftBadge();
-    updateStatsBadges();
-    renderShop();
-    if (isInventoryOpen()) renderInventory();
+    showCraftNotice(`做好了「${def.name}」${made.length > 1 ? `×${made.length}` : ""}，已放進背包。`);
+    renderCraft();
   }
 
-  function sellAllGifts() {
-    if (save.gifts.length === 0) return;
-    let total = 0;
-    for (const g of save.gifts) total += giftSellPrice(g);
-    save.gifts = [];
-    save.stats.coins = Math.max(0, save.stats.coins + total);
-    writeSave(save);
-    updateGiftBadge();
-    updateStatsBadges();
-    renderShop();
-    if (isInventoryOpen()) renderInventory();
+  /** 進行中或可以接的任務還要帶去的東西（item id → 任務名稱），合成前提醒一下 @returns {Map<string, string>} */
+  function questReservedItems() {
+    const out = new Map();
+    for (const q of QUESTS) {
+      const st = questState(q.id);
+      if (st !== "active" && st !== "available") continue;
+      const from = st === "active" ? save.quests[q.id].step : 0;
+      for (const step of q.steps.slice(from)) {
+        if (step.objective.type === "bring") out.set(step.objective.item, q.title);
+      }
+    }
+    return out;
   }
 
-  function renderInventory() {
-    const gifts = save.gifts.slice().sort((a, b) => b.time - a.time);
-    ui.inventoryList.innerHTML = "";
-    if (gifts.length === 0) {
-      ui.inventoryMeta.textContent = "目前沒有禮物。去跟貓咪 NPC 聊聊天吧！";
-      return;
-    }
-    ui.inventoryMeta.textContent = `共 ${gifts.length} 件小禮物（會自動存檔在瀏覽器）。`;
-    for (const g of gifts) {
+  function renderCraft() {
+    ui.craftList.innerHTML = "";
+    const reserved = questReservedItems();
+    const ready = RECIPES.filter((r) => missingIngredients(r).length === 0).length;
+    ui.craftMeta.textContent = ready > 0 ? `有 ${ready} 個配方的材料已經湊齊了。` : "材料還不夠？多跟貓咪們聊聊天、到商店逛逛吧。";
+    for (const r of RECIPES) {
+      const def = getItemDef(r.result);
+      if (!def) continue;
       const li = document.createElement("li");
       li.className = "inventory__item";
       const name = document.createElement("div");
       name.className = "inventory__itemName";
-      name.textContent = g.name;
+      name.textContent = r.count && r.count > 1 ? `${def.name} ×${r.count}` : def.name;
       const desc = document.createElement("div");
       desc.className = "inventory__itemDesc";
-      desc.textContent = `${g.desc}（來自：${g.from}）`;
+      desc.textContent = `${def.desc}（${ITEM_RARITIES[def.rarity].label}・${ITEM_CATEGORIES[def.category]}）`;
+      const ings = document.createElement("ul");
+      ings.className = "craft__ingredients";
+      for (const ing of r.ingredients) {
+        const have = countItems(ing.item);
+        const item = document.createElement("li");
+        item.className = have >= ing.count ? "craft__ingredient craft__ingredient--ok" : "craft__ingredient";
+        item.textContent = `${have >= ing.count ? "✓" : "✗"} ${getItemDef(ing.item)?.name ?? ing.item} ${Math.min(have, ing.count)}/${ing.count}`;
+        const quest = reserved.get(ing.item);
+        if (quest) {
+          item.classList.add("craft__ingredient--quest");
+          item.textContent += `（任務「${quest}」要用）`;
+        }
+        ings.appendChild(item);
+      }
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "inventory__close inventory__use";
+      btn.textContent = "合成";
+      btn.dataset.recipeId = r.id;
       li.appendChild(name);
       li.appendChild(desc);
-      ui.inventoryList.appendChild(li);
+      li.appendChild(ings);
+      li.appendChild(btn);
+      ui.craftList.appendChild(li);
+    }
+  }
+
+  /** 匯出/匯入存檔（跨瀏覽器搬家用） */
+  const SAVE_FILE_FORMAT = "cat-village-rpg-save";
+
+  /** 檢查碼：只用來擋「檔案被改過/壞掉」，不是加密 @param {any} data */
+  function saveChecksum(data) {
+    return hashStringToInt(JSON.stringify(data)).toString(16).padStart(8, "0");
+  }
+
+  /** @param {string} text @param {"info"|"error"} [kind] */
+  function showInventoryNotice(text, kind = "info") {
+    ui.inventoryNotice.textContent = text;
+    ui.inventoryNotice.hidden = !text;
+    ui.inventoryNotice.classList.toggle("inventory__notice--error", kind === "error");
+  }
+
+  function exportSave() {
+    const data = JSON.parse(JSON.stringify(save));
+    const file = {
+      format: SAVE_FILE_FORMAT,
+      version: data.version,
+      exportedAt: Date.now(),
+      checksum: saveChecksum(data),
+      save: data,
+    };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    const stamp = formatDateTime(file.exportedAt).replace(/[/: ]/g, "");
+    a.href = url;
+    a.download = `cat-village-save-${stamp}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // 有些瀏覽器在 click() 之後才開始下載，馬上 revoke 會讓下載失敗
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showInventoryNotice(`已匯出「${save.meta.name}」。`);
+  }
+
+  /**
+   * 嚴格檢查存檔結構（匯入用）：跟 loadSave 不同，這裡不幫忙修，壞掉就拒絕。
+   * @param {any} data
+   * @returns {string|null} 錯誤訊息；沒問題回傳 null
+   */
+  function validateSaveStructure(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) return "存檔內容不是物件";
+    if (!Array.isArray(data.gifts)) return "缺少禮物清單（gifts）";
+    for (const g of data.gifts) {
+      if (!isGift(g) || typeof g.desc !== "string" || typeof g.from !== "string" || !Number.isFinite(g.time)) {
+        return "禮物清單裡有格式不正確的項目";
+      }
+    }
+    const given = data.givenNpcIds;
+    if (!given || typeof given !== "object" || Array.isArray(given)) return "缺少已領禮物紀錄（givenNpcIds）";
+    for (const v of Object.values(given)) {
+      if (typeof v !== "boolean") return "已領禮物紀錄（givenNpcIds）的值必須是 true/false";
+    }
+    const st = data.stats;
+    if (!st || typeof st !== "object") return "缺少角色數值（stats）";
+    for (const k of ["hp", "maxHp", "coins"]) {
+      if (!Number.isFinite(st[k]) || st[k] < 0) return `角色數值 ${k} 不正確`;
+    }
+    if (st.maxHp < 1 || st.hp > st.maxHp) return "HP 超出上限";
+    const flags = data.flags;
+    if (!flags || typeof flags !== "object" || Array.isArray(flags)) return "缺少旗標（flags）";
+    for (const v of Object.values(flags)) {
+      if (!["boolean", "number", "string"].includes(typeof v)) return "旗標（flags）的值只能是 true/false、數字或文字";
+    }
+    const quests = data.quests;
+    if (!quests || typeof quests !== "object" || Array.isArray(quests)) return "缺少任務進度（quests）";
+    for (const q of Object.values(quests)) {
+      if (!q || typeof q !== "object" || (q.state !== "active" && q.state !== "completed")) return "任務進度的狀態不正確";
+      if (!Number.isInteger(q.step) || q.step < 0) return "任務進度的步驟不正確";
+    }
+    const shop = data.shop;
+    if (!shop || typeof shop !== "object" || !Number.isInteger(shop.day)) return "缺少商店紀錄（shop）";
+    if (!shop.bought || typeof shop.bought !== "object" || Array.isArray(shop.bought)) return "商店紀錄（shop.bought）格式不正確";
+    for (const n of Object.values(shop.bought)) {
+      if (!Number.isInteger(n) || n < 0) return "商店紀錄（shop.bought）的數量不正確";
+    }
+    const album = data.album;
+    if (!album || typeof album !== "object" || !album.found || typeof album.found !== "object" || Array.isArray(album.found)) {
+      return "缺少收藏冊（album）";
+    }
+    for (const t of Object.values(album.found)) {
+      if (!Number.isFinite(t) || t < 0) return "收藏冊（album.found）的時間不正確";
+    }
+    if (album.completedAt != null && !Number.isFinite(album.completedAt)) return "收藏冊完成時間不正確";
+    return null;
+  }
+
+  /**
+   * 解析匯入檔案；成功回傳已遷移到目前版本的 SaveData。
+   * @param {string} text
+   * @returns {{ ok: true; data: SaveData } | { ok: false; error: string }}
+   */
+  function parseSaveFile(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch {
+      return { ok: false, error: "檔案不是有效的 JSON" };
     }
+    if (!file || typeof file !== "object" || file.format !== SAVE_FILE_FORMAT) {
+      return { ok: false, error: "這不是貓咪村莊的存檔檔案" };
+    }
+    if (!file.save || typeof file.save !== "object") return { ok: false, error: "檔案裡沒有存檔資料" };
+    if (typeof file.checksum !== "string" || file.checksum !== saveChecksum(file.save)) {
+      return { ok: false, error: "檢查碼不符：檔案可能被修改或已損毀" };
+    }
+    if (saveVersionOf(file.save) > SAVE_VERSION) {
+      return { ok: false, error: `存檔版本 v${saveVersionOf(file.save)} 比遊戲新，請先更新遊戲` };
+    }
+    let migrated;
+    try {
+      migrated = migrateSave(file.save);
+    } catch (err) {
+      return { ok: false, error: `存檔升級失敗：${err instanceof Error ? err.message : err}` };
+    }
+    if (migrated.world != null && (typeof migrated.world !== "object" || !normalizeWorld(migrated.world))) {
+      return { ok: false, error: "世界快照（world）格式不正確" };
+    }
+    const problem = validateSaveStructure(migrated);
+    if (problem) return { ok: false, error: problem };
+    return { ok: true, data: normalizeSave(migrated, activeSlot) };
+  }
+
+  /** @param {SaveData} data */
+  function summarizeSave(data) {
+    return `錢幣 ${data.stats.coins}、禮物 ${data.gifts.length} 件、HP ${data.stats.hp}/${data.stats.maxHp}`;
+  }
+
+  /** @param {File} file */
+  function importSaveFile(file) {
+    file.text().then(
+      (text) => {
+        const r = parseSaveFile(text);
+        if (!r.ok) {
+          showInventoryNotice(`匯入失敗：${r.error}`, "error");
+          return;
+        }
+        askConfirm(
+          {
+            title: "匯入存檔",
+            message:
+              `要用匯入的存檔覆蓋「${save.meta.name}」嗎？\n\n` +
+              `目前：${summarizeSave(save)}\n` +
+              `匯入：${summarizeSave(r.data)}（${r.data.meta.name}）`,
+            okText: "覆蓋",
+          },
+          () => {
+            takeBackup("匯入前");
+            save = r.data;
+            restoreRuntimeFromSave();
+            writeSave(save);
+            updateGiftBadge();
+            updateStatsBadges();
+            openInventory();
+            showInventoryNotice(`已匯入「${save.meta.name}」。`);
+          },
+          () => showInventoryNotice("已取消匯入。")
+        );
+      },
+      () => showInventoryNotice("匯入失敗：無法讀取檔案", "error")
+    );
   }
 
   function setAriaHidden(el, hidden) {
     el.setAttribute("aria-hidden", hidden ? "true" : "false");
   }
 
+  /** 確認視窗（取代 window.confirm：小朋友誤按時多一步，鍵盤也能操作） */
+  /** @type {null | { onConfirm: () => void; onCancel?: () => void }} */
+  let pendingConfirm = null;
+
+  function isConfirmOpen() {
+    return ui.confirm.getAttribute("aria-hidden") === "false";
+  }
+
+  /**
+   * @param {{ title: string; message: string; okText?: string; cancelText?: string }} opts
+   * @param {() => void} onConfirm
+   * @param {() => void} [onCancel]
+   */
+  function askConfirm(opts, onConfirm, onCancel) {
+    pendingConfirm = { onConfirm, onCancel };
+    ui.confirmTitle.textContent = opts.title;
+    ui.confirmMessage.textContent = opts.message;
+    ui.confirmOk.textContent = opts.okText ?? "確定";
+    ui.confirmCancel.textContent = opts.cancelText ?? "取消";
+    keys.clear();
+    setAriaHidden(ui.confirm, false);
+    // 預設停在「取消」，連按空白鍵也不會直接清掉存檔
+    ui.confirmCancel.focus();
+  }
+
+  /** @param {boolean} ok */
+  function closeConfirm(ok) {
+    const p = pendingConfirm;
+    pendingConfirm = null;
+    setAriaHidden(ui.confirm, true);
+    if (!p) return;
+    if (ok) p.onConfirm();
+    else p.onCancel?.();
+  }
+
   function showPrompt(text) {
     ui.promptText.textContent = text;
     setAriaHidden(ui.prompt, false);
@@ -293,6 +2076,7 @@
   }
 
   function openInventory() {
+    showInventoryNotice("");
     renderInventory();
     setAriaHidden(ui.inventory, false);
   }
@@ -312,6 +2096,7 @@
   }
 
   function openShop() {
+    showShopNotice("");
     renderShop();
     setAriaHidden(ui.shop, false);
   }
@@ -320,6 +2105,56 @@
     setAriaHidden(ui.shop, true);
   }
 
+  function isAlbumOpen() {
+    return ui.album.getAttribute("aria-hidden") === "false";
+  }
+
+  function openAlbum() {
+    renderAlbum();
+    setAriaHidden(ui.album, false);
+  }
+
+  function closeAlbum() {
+    setAriaHidden(ui.album, true);
+  }
+
+  function toggleAlbum() {
+    if (isAlbumOpen()) closeAlbum();
+    else openAlbum();
+  }
+
+  function isCraftOpen() {
+    return ui.craft.getAttribute("aria-hidden") === "false";
+  }
+
+  function openCraft() {
+    showCraftNotice("");
+    renderCraft();
+    setAriaHidden(ui.craft, false);
+  }
+
+  function closeCraft() {
+    setAriaHidden(ui.craft, true);
+  }
+
+  function isJournalOpen() {
+    return ui.journal.getAttribute("aria-hidden") === "false";
+  }
+
+  function openJournal() {
+    renderJournal();
+    setAriaHidden(ui.journal, false);
+  }
+
+  function closeJournal() {
+    setAriaHidden(ui.journal, true);
+  }
+
+  function toggleJournal() {
+    if (isJournalOpen()) closeJournal();
+    else openJournal();
+  }
+
   function openHelp() {
     setAriaHidden(ui.help, false);
   }
@@ -334,25 +2169,46 @@
     else closeHelp();
   }
 
+  function isHistoryOpen() {
+    return ui.history.getAttribute("aria-hidden") === "false";
+  }
+
+  function openHistory() {
+    renderDialogueHistory();
+    setAriaHidden(ui.history, false);
+    // 最新的在最下面
+    ui.historyList.lastElementChild?.scrollIntoView?.({ block: "end" });
+  }
+
+  function closeHistory() {
+    setAriaHidden(ui.history, true);
+  }
+
+  function toggleHistory() {
+    if (isHistoryOpen()) closeHistory();
+    else openHistory();
+  }
+
   function closeOverlays() {
     closeInventory();
     closeShop();
+    closeCraft();
+    closeAlbum();
+    closeJournal();
     closeHelp();
+    closeHistory();
   }
 
-  const INITIAL_PLAYER = {
-    x: 520,
-    y: 940,
-    facing: /** @type {"up"|"down"|"left"|"right"} */ ("down"),
-  };
 
-  /** @type {Map<string, {x:number;y:number}>} */
+  /** @type {Map<string, {map:string;x:number;y:number}>} */
   const npcSpawn = new Map();
 
   /** @type {Map<string, {x:number;y:number}>} */
   const mobSpawn = new Map();
 
   function resetRuntimeState() {
+    sceneTransition = null;
+    switchMap("village");
     player.x = INITIAL_PLAYER.x;
     player.y = INITIAL_PLAYER.y;
     player.facing = INITIAL_PLAYER.facing;
@@ -362,6 +2218,7 @@
     for (const npc of npcs) {
       const p = npcSpawn.get(npc.id);
       if (p) {
+        npc.map = p.map;
         npc.x = p.x;
         npc.y = p.y;
       }
@@ -377,6 +2234,17 @@
       }
     }
     initMobs();
+    coinDrops.length = 0;
+    catnipWard = 0;
+    regenTimer = 0;
+    regenDelay = 0;
+    closeDowned();
+    player.swing = 0;
+    player.swingCooldown = 0;
+    player.invuln = 0;
+    player.kbx = 0;
+    player.kby = 0;
+    clearMoveTarget();
 
     hintOverrideUntil = 0;
     hintOverrideText = "";
@@ -394,182 +2262,836 @@
     render();
   }
 
+  function restoreRuntimeFromSave() {
+    resetRuntimeState();
+    if (!save.world) return;
+    applyWorldState(save.world);
+    updateCamera();
+    render();
+  }
+
   function startGame() {
-    if (gameStarted) return;
+    if (gameStarted || !storage) return;
     gameStarted = true;
     setAriaHidden(ui.splash, true);
 
     // 初始 UI（確保在開始前就已載入存檔）
     updateGiftBadge();
     updateStatsBadges();
+    updateClockBadge();
+    updateWeatherBadge();
     ui.badgeHint.textContent = DEFAULT_HINT;
 
-    // 初始化遊戲內狀態
-    resetRuntimeState();
+    // 初始化遊戲內狀態（有世界快照就從上次的位置繼續）
+    restoreRuntimeFromSave();
+
+    // 記住這次選的存檔，並寫入最後遊玩時間
+    storage.set(ACTIVE_SLOT_KEY, String(activeSlot));
+    writeSave(save);
 
     // 首次進來自動開說明（在真正開始後再打開）
-    const seen = localStorage.getItem(FIRST_VISIT_KEY) === "1";
+    const seen = storage.get(FIRST_VISIT_KEY) === "1";
     if (!seen) {
-      localStorage.setItem(FIRST_VISIT_KEY, "1");
+      storage.set(FIRST_VISIT_KEY, "1");
       openHelp();
     }
 
-    lastTs = performance.now();
-    requestAnimationFrame(step);
+    marketAnnouncedDay = -1;
+    announceMarketEvent();
+    // 舊存檔升級後可能早就集滿了（放在市場消息之後，提示才不會被蓋掉）
+    checkAlbumComplete();
+    // 上次是倒著離開的：直接回到倒下畫面
+    if (save.stats.hp <= 0) enterDowned();
+
+    lastTs = performance.now();
+    requestAnimationFrame(step);
+  }
+
+  /** 開始畫面：存檔欄 */
+  /** @param {number} ts */
+  function formatDateTime(ts) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}/${pad(d.getMonth() + 1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  /** @param {number} slot */
+  function describeSlot(slot) {
+    const r = readSlotRaw(slot);
+    if (r.status === "empty") return { name: `存檔 ${slot}`, detail: "空白存檔", empty: true };
+    if (r.status === "corrupt") return { name: `存檔 ${slot}`, detail: "存檔損毀，開始後會建立新存檔", empty: true };
+    const data = loadSave(slot);
+    const played = data.meta.lastPlayed > 0 ? formatDateTime(data.meta.lastPlayed) : "尚未遊玩";
+    return {
+      name: data.meta.name,
+      detail: `最後遊玩：${played}・第 ${data.clock.day} 天・錢幣 ${data.stats.coins}・禮物 ${data.gifts.length}`,
+      empty: false,
+    };
+  }
+
+  function renderSaveSlots() {
+    ui.saveSlots.innerHTML = "";
+    for (let i = 1; i <= SAVE_SLOT_COUNT; i++) {
+      const info = describeSlot(i);
+      const li = document.createElement("li");
+      li.className = "splash__slot";
+      li.dataset.slot = String(i);
+      li.setAttribute("role", "option");
+      li.setAttribute("aria-selected", i === activeSlot ? "true" : "false");
+
+      const left = document.createElement("div");
+      left.style.minWidth = "0";
+      const name = document.createElement("div");
+      name.className = "splash__slotName";
+      name.textContent = info.name;
+      const detail = document.createElement("div");
+      detail.className = "splash__slotDetail";
+      detail.textContent = info.detail;
+      left.appendChild(name);
+      left.appendChild(detail);
+      li.appendChild(left);
+
+      if (!info.empty) {
+        const rename = document.createElement("button");
+        rename.type = "button";
+        rename.className = "inventory__close";
+        rename.textContent = "改名";
+        rename.dataset.slotRename = String(i);
+        li.appendChild(rename);
+      }
+      ui.saveSlots.appendChild(li);
+    }
+    const current = describeSlot(activeSlot);
+    ui.startGame.textContent = current.empty ? "開始遊戲" : "繼續遊戲";
+  }
+
+  /** @param {number} slot */
+  function selectSlot(slot) {
+    if (gameStarted || !storage || !Number.isInteger(slot) || slot < 1 || slot > SAVE_SLOT_COUNT) return;
+    activeSlot = slot;
+    storage.set(ACTIVE_SLOT_KEY, String(slot));
+    save = loadSave(slot);
+    updateGiftBadge();
+    updateStatsBadges();
+    renderSaveSlots();
+    if (!ui.backupPanel.hidden) renderBackupList();
+  }
+
+  /** @param {number} slot */
+  function renameSlot(slot) {
+    const r = readSlotRaw(slot);
+    if (!storage || r.status !== "ok") return;
+    const data = loadSave(slot);
+    const next = window.prompt("幫這個存檔取個名字：", data.meta.name);
+    if (next == null || !next.trim()) return;
+    data.meta.name = next.trim().slice(0, 24);
+    storage.set(slotKey(slot), JSON.stringify(data));
+    if (slot === activeSlot) save = data;
+    renderSaveSlots();
+  }
+
+  function renderBackupList() {
+    const list = loadBackups(activeSlot);
+    ui.backupList.innerHTML = "";
+    if (list.length === 0) {
+      const li = document.createElement("li");
+      li.className = "splash__slotDetail";
+      li.textContent = "這個存檔還沒有備份。";
+      ui.backupList.appendChild(li);
+      return;
+    }
+    for (const b of list) {
+      const data = normalizeSave(b.save, activeSlot);
+      const li = document.createElement("li");
+      li.className = "splash__slot";
+
+      const left = document.createElement("div");
+      left.style.minWidth = "0";
+      const name = document.createElement("div");
+      name.className = "splash__slotName";
+      name.textContent = `${formatDateTime(b.time)}・${b.reason}`;
+      const detail = document.createElement("div");
+      detail.className = "splash__slotDetail";
+      detail.textContent = summarizeSave(data);
+      left.appendChild(name);
+      left.appendChild(detail);
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "inventory__close";
+      btn.textContent = "還原";
+      btn.dataset.backupId = b.id;
+
+      li.appendChild(left);
+      li.appendChild(btn);
+      ui.backupList.appendChild(li);
+    }
+  }
+
+  /** @param {string} id */
+  function restoreBackup(id) {
+    const b = loadBackups(activeSlot).find((x) => x.id === id);
+    if (!b || !storage) return;
+    let restored;
+    try {
+      restored = normalizeSave(migrateSave(b.save), activeSlot);
+    } catch {
+      return;
+    }
+    askConfirm(
+      {
+        title: "還原備份？",
+        message:
+          `要把「${save.meta.name}」還原成 ${formatDateTime(b.time)} 的備份嗎？\n\n` +
+          `目前：${summarizeSave(save)}\n` +
+          `備份：${summarizeSave(restored)}`,
+        okText: "還原",
+      },
+      () => {
+        if (readSlotRaw(activeSlot).status === "ok") takeBackup("還原前");
+        save = restored;
+        writeSave(save);
+        updateGiftBadge();
+        updateStatsBadges();
+        renderSaveSlots();
+        renderBackupList();
+      }
+    );
+  }
+
+  /**
+   * 地圖：資料放在 maps/*.js（window.CAT_VILLAGE_MAPS[id]，內容是純 JSON），格式見 README「地圖格式」。
+   * 這裡負責驗證、把 solid 的格子和物件變成碰撞盒，再把出生點 / 商店 / NPC 位置交給遊戲用；
+   * 畫面由 drawMapTiles / drawMapObjects 依物件 type 畫。
+   * 所有地圖一開始就讀好；同一時間只有 currentMap 是「場景」，其他地圖上的 NPC / 怪物暫停不動。
+   */
+  /** @typedef {{ name: string; color?: string; solid?: boolean }} MapTileType */
+  /** base：底色；grass：沒有 color 的格子（草地）雜訊用的 "r,g,b" @typedef {{ base?: string; grass?: string }} MapStyle */
+  /** @typedef {{ type: string; id?: string; x?: number; y?: number; w?: number; h?: number; r?: number; facing?: Facing; points?: [number, number][]; house?: string; solid?: boolean; color?: string; target?: { map: string; door: string } }} MapObject */
+  /** @typedef {{ type: "tiles"; name: string; rows: string[] } | { type: "objects"; name: string; objects: MapObject[] }} MapLayer */
+  /** @typedef {{ solid?: boolean; shape?: "rect" }} MapObjectType shape 為 "rect" 的物件要有 w/h，也才會算進碰撞盒 */
+  /** @typedef {{ id: string; name: string; width: number; height: number; tileSize: number; indoor?: boolean; style?: MapStyle; tileTypes: Record<string, MapTileType>; objectTypes: Record<string, MapObjectType>; layers: MapLayer[] }} MapData */
+  /** @typedef {{ data: MapData; cols: number; rows: number; objects: MapObject[]; solids: Rect[] }} GameMap */
+
+  /** @type {Record<string, MapData>} */
+  const MAP_DATA = window.CAT_VILLAGE_MAPS ?? {};
+  // 出入口：門（房子）和地圖邊緣的通道（portal）；target.door 指的是對面地圖上的門或通道 id
+  const ENTRY_TYPES = ["door", "portal"];
+
+  /** @param {any} data @returns {string[]} */
+  function validateMap(data) {
+    if (!data || typeof data !== "object") return ["沒有地圖資料"];
+    const errors = [];
+    for (const k of ["width", "height", "tileSize"]) {
+      if (!Number.isFinite(data[k]) || data[k] <= 0) errors.push(`${k} 要是正數`);
+    }
+    if (!data.tileTypes || typeof data.tileTypes !== "object") errors.push("缺少 tileTypes");
+    if (!Array.isArray(data.layers)) return errors.concat("缺少 layers");
+    if (errors.length > 0) return errors;
+    const cols = Math.ceil(data.width / data.tileSize);
+    const rows = Math.ceil(data.height / data.tileSize);
+    for (const layer of data.layers) {
+      if (layer?.type === "tiles") {
+        if (!Array.isArray(layer.rows) || layer.rows.length !== rows) {
+          errors.push(`圖層 ${layer.name}：要有 ${rows} 列`);
+          continue;
+        }
+        layer.rows.forEach((row, i) => {
+          if (typeof row !== "string" || row.length !== cols) errors.push(`圖層 ${layer.name} 第 ${i + 1} 列：要有 ${cols} 格`);
+          else for (const ch of row) if (!data.tileTypes[ch]) errors.push(`圖層 ${layer.name} 第 ${i + 1} 列：不認得的格子「${ch}」`);
+        });
+      } else if (layer?.type === "objects") {
+        if (!Array.isArray(layer.objects)) {
+          errors.push(`圖層 ${layer.name}：缺少 objects`);
+          continue;
+        }
+        for (const o of layer.objects) {
+          const label = `${layer.name}/${o?.id ?? o?.type}`;
+          if (!o || typeof o.type !== "string") errors.push(`圖層 ${layer.name}：物件缺少 type`);
+          else if (o.type === "path") {
+            if (!Array.isArray(o.points) || o.points.length < 2) errors.push(`${label}：path 至少要兩個點`);
+          } else if (!Number.isFinite(o.x) || !Number.isFinite(o.y)) errors.push(`${label}：缺少 x / y`);
+          else if (isRectObject(data, o) && !(o.w > 0 && o.h > 0)) errors.push(`${label}：缺少 w / h`);
+          else if (o.target != null && (typeof o.target.map !== "string" || typeof o.target.door !== "string")) errors.push(`${label}：target 要有 map 和 door`);
+        }
+      } else errors.push(`不認得的圖層類型：${layer?.type}`);
+    }
+    return errors;
+  }
+
+  // 有位置、可以當碰撞盒的物件（objectTypes 寫 shape: "rect"）需要 x/y/w/h；點狀物件（出生點、商店…）只需要 x/y
+  /** @param {MapData} data @param {MapObject} o */
+  function isRectObject(data, o) {
+    return data.objectTypes?.[o.type]?.shape === "rect";
+  }
+
+  /** @param {MapData} data @param {MapObject} o */
+  function isSolidObject(data, o) {
+    if (typeof o.solid === "boolean") return o.solid;
+    return !!data.objectTypes?.[o.type]?.solid;
+  }
+
+  /** @param {string} id @returns {GameMap} */
+  function loadMap(id) {
+    const data = MAP_DATA[id];
+    const errors = validateMap(data);
+    if (errors.length > 0) throw new Error(`地圖「${id}」讀不進來：\n${errors.join("\n")}`);
+    const tile = data.tileSize;
+    const cols = Math.ceil(data.width / tile);
+    const rows = Math.ceil(data.height / tile);
+
+    /** @type {Rect[]} */
+    const solids = [
+      // 外框（讓角色不走出世界）
+      { x: -9999, y: -9999, w: 9999, h: data.height + 19998 },
+      { x: data.width, y: -9999, w: 9999, h: data.height + 19998 },
+      { x: -9999, y: -9999, w: data.width + 19998, h: 9999 },
+      { x: -9999, y: data.height, w: data.width + 19998, h: 9999 },
+    ];
+    /** @type {MapObject[]} */
+    const objects = [];
+    for (const layer of data.layers) {
+      if (layer.type === "objects") {
+        for (const o of layer.objects) {
+          objects.push(o);
+          if (isRectObject(data, o) && isSolidObject(data, o)) solids.push({ x: o.x, y: o.y, w: o.w, h: o.h });
+        }
+        continue;
+      }
+      // solid 的格子：同一列連在一起的合成一個長方形
+      layer.rows.forEach((row, r) => {
+        let start = -1;
+        for (let c = 0; c <= cols; c++) {
+          const solid = c < cols && !!data.tileTypes[row[c]].solid;
+          if (solid && start < 0) start = c;
+          if (!solid && start >= 0) {
+            solids.push({ x: start * tile, y: r * tile, w: (c - start) * tile, h: tile });
+            start = -1;
+          }
+        }
+      });
+    }
+    return { data, cols, rows, objects, solids };
+  }
+
+  /** @type {Record<string, GameMap>} */
+  const maps = {};
+  for (const id of Object.keys(MAP_DATA)) maps[id] = loadMap(id);
+  if (!maps.village) throw new Error("地圖「village」讀不進來：\n沒有地圖資料");
+  // 出入口的 target 要指到真的存在的地圖和門 / 通道，不然走進去就卡住了
+  for (const map of Object.values(maps)) {
+    for (const o of map.objects) {
+      if (!ENTRY_TYPES.includes(o.type) || !o.target) continue;
+      const to = maps[o.target.map];
+      if (!to?.objects.some((d) => ENTRY_TYPES.includes(d.type) && d.id === o.target.door)) {
+        throw new Error(`地圖「${map.data.id}」的出入口「${o.id}」通往不存在的 ${o.target.map}/${o.target.door}`);
+      }
+    }
+  }
+
+  let currentMap = maps.village;
+
+  /** 目前場景上的物件 @param {string} type @param {string} [id] */
+  function mapObject(type, id) {
+    return currentMap.objects.find((o) => o.type === type && (id == null || o.id === id)) ?? null;
+  }
+
+  /**
+   * 地圖上一定要有的點（出生點、商店、NPC…）；會找遍所有地圖，回傳物件和它所在的地圖。缺了就是地圖寫錯
+   * @param {string} type @param {string} id @returns {{ map: string; o: MapObject }}
+   */
+  function requireMapObject(type, id) {
+    for (const map of Object.values(maps)) {
+      const o = map.objects.find((it) => it.type === type && it.id === id);
+      if (o) return { map: map.data.id, o };
+    }
+    throw new Error(`地圖上缺少 ${type}「${id}」`);
+  }
+
+  /** NPC / 怪物 / 商店…是不是在目前的場景裡 @param {{ map: string }} e */
+  function onCurrentMap(e) {
+    return e.map === currentMap.data.id;
+  }
+
+  /** Map 與世界座標 */
+  const WORLD = {
+    w: currentMap.data.width,
+    h: currentMap.data.height,
+    tile: currentMap.data.tileSize,
+  };
+
+  /** @typedef {{ x:number;y:number;w:number;h:number }} Rect */
+  /** @param {Rect} a @param {Rect} b */
+  function rectsOverlap(a, b) {
+    return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+  }
+
+  /** @param {Rect} rect @param {Rect[]} solids */
+  function collides(rect, solids) {
+    for (const s of solids) if (rectsOverlap(rect, s)) return true;
+    return false;
+  }
+
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+  }
+
+  /** 地形碰撞盒：來自地圖（房子 / 水池 / 柵欄 / solid 的格子，外加世界外框） */
+  /** @type {Rect[]} */
+  const solids = [...currentMap.solids];
+
+  /**
+   * 導航格：把世界切成 WORLD.tile 大小的格子，記錄「半徑 r 的角色站在格子中心會不會撞到 solids」。
+   * 每種半徑各一張，第一次用到時才建起來快取；solids 改了（換地圖）要呼叫 invalidateNavGrids()。
+   */
+  /** @typedef {{ x:number; y:number }} Point */
+  /** @typedef {{ cols:number; rows:number; r:number; blocked: Uint8Array }} NavGrid */
+  /** @type {Map<number, NavGrid>} */
+  const navGrids = new Map();
+
+  function invalidateNavGrids() {
+    navGrids.clear();
+  }
+
+  /** @param {number} x @param {number} y @param {number} r */
+  function circleBlocked(x, y, r) {
+    return collides({ x: x - r, y: y - r, w: r * 2, h: r * 2 }, solids);
+  }
+
+  /** @param {number} r @returns {NavGrid} */
+  function getNavGrid(r) {
+    const key = Math.ceil(r);
+    const cached = navGrids.get(key);
+    if (cached) return cached;
+    const tile = WORLD.tile;
+    const cols = Math.ceil(WORLD.w / tile);
+    const rows = Math.ceil(WORLD.h / tile);
+    const blocked = new Uint8Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        blocked[row * cols + col] = circleBlocked(col * tile + tile / 2, row * tile + tile / 2, key) ? 1 : 0;
+      }
+    }
+    const grid = { cols, rows, r: key, blocked };
+    navGrids.set(key, grid);
+    return grid;
+  }
+
+  /** @param {NavGrid} grid @param {number} i @returns {Point} */
+  function navCellCenter(grid, i) {
+    const tile = WORLD.tile;
+    return { x: (i % grid.cols) * tile + tile / 2, y: Math.floor(i / grid.cols) * tile + tile / 2 };
+  }
+
+  /** 座標所在的格子；格子走不了就往外一圈一圈找最近能走的 @param {NavGrid} grid @param {number} x @param {number} y */
+  function nearestOpenCell(grid, x, y) {
+    const tile = WORLD.tile;
+    const col = clamp(Math.floor(x / tile), 0, grid.cols - 1);
+    const row = clamp(Math.floor(y / tile), 0, grid.rows - 1);
+    if (!grid.blocked[row * grid.cols + col]) return row * grid.cols + col;
+    const maxRing = Math.max(grid.cols, grid.rows);
+    for (let ring = 1; ring <= maxRing; ring++) {
+      let best = -1;
+      let bestD = Infinity;
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          const c = col + dx;
+          const r = row + dy;
+          if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows || grid.blocked[r * grid.cols + c]) continue;
+          const p = navCellCenter(grid, r * grid.cols + c);
+          const d = dist(x, y, p.x, p.y);
+          if (d < bestD) {
+            best = r * grid.cols + c;
+            bestD = d;
+          }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+
+  /** 半徑 r 的角色能不能直直走過去（沿線每半個半徑取樣一次） @param {number} x1 @param {number} y1 @param {number} x2 @param {number} y2 @param {number} r */
+  function segmentWalkable(x1, y1, x2, y2, r) {
+    const steps = Math.max(1, Math.ceil(dist(x1, y1, x2, y2) / Math.max(4, r * 0.5)));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (circleBlocked(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t, r)) return false;
+    }
+    return true;
   }
 
-  /** Map 與世界座標 */
-  const WORLD = {
-    w: 1920,
-    h: 1080,
-    tile: 48,
-  };
+  // 八方向；斜走時兩邊的格子都要能走（不切牆角）
+  const NAV_DIRS = [
+    [1, 0, 1],
+    [-1, 0, 1],
+    [0, 1, 1],
+    [0, -1, 1],
+    [1, 1, Math.SQRT2],
+    [1, -1, Math.SQRT2],
+    [-1, 1, Math.SQRT2],
+    [-1, -1, Math.SQRT2],
+  ];
 
-  /** @typedef {{ x:number;y:number;w:number;h:number }} Rect */
-  /** @param {Rect} a @param {Rect} b */
-  function rectsOverlap(a, b) {
-    return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+  /**
+   * A*：從 (sx, sy) 走到 (tx, ty) 的路徑（不含起點），找不到回傳 null。
+   * 終點本身走不了時停在最近能走的格子；最後把能直走的轉折點拉直（string pulling）。
+   * @param {number} sx @param {number} sy @param {number} tx @param {number} ty @param {number} r
+   * @returns {Point[] | null}
+   */
+  function findPath(sx, sy, tx, ty, r) {
+    const grid = getNavGrid(r);
+    const start = nearestOpenCell(grid, sx, sy);
+    const goal = nearestOpenCell(grid, tx, ty);
+    if (start < 0 || goal < 0) return null;
+    const end = circleBlocked(tx, ty, grid.r) ? navCellCenter(grid, goal) : { x: tx, y: ty };
+    if (start === goal) return [end];
+
+    const { cols, rows, blocked } = grid;
+    const n = cols * rows;
+    const g = new Float64Array(n).fill(Infinity);
+    const f = new Float64Array(n).fill(Infinity);
+    const came = new Int32Array(n).fill(-1);
+    const closed = new Uint8Array(n);
+    const gc = goal % cols;
+    const gr = Math.floor(goal / cols);
+    // 八方向的距離估計（octile）
+    const h = (i) => {
+      const dx = Math.abs((i % cols) - gc);
+      const dy = Math.abs(Math.floor(i / cols) - gr);
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+    g[start] = 0;
+    f[start] = h(start);
+    const open = [start];
+    while (open.length > 0) {
+      let bi = 0;
+      for (let k = 1; k < open.length; k++) if (f[open[k]] < f[open[bi]]) bi = k;
+      const cur = open[bi];
+      open[bi] = open[open.length - 1];
+      open.pop();
+      if (closed[cur]) continue;
+      if (cur === goal) break;
+      closed[cur] = 1;
+      const cc = cur % cols;
+      const cr = Math.floor(cur / cols);
+      for (const [dx, dy, cost] of NAV_DIRS) {
+        const nc = cc + dx;
+        const nr = cr + dy;
+        if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+        const ni = nr * cols + nc;
+        if (blocked[ni] || closed[ni]) continue;
+        if (dx !== 0 && dy !== 0 && (blocked[cr * cols + nc] || blocked[nr * cols + cc])) continue;
+        const ng = g[cur] + cost;
+        if (ng >= g[ni]) continue;
+        g[ni] = ng;
+        f[ni] = ng + h(ni);
+        came[ni] = cur;
+        open.push(ni);
+      }
+    }
+    if (came[goal] < 0) return null;
+
+    /** @type {Point[]} */
+    const points = [];
+    for (let i = came[goal]; i !== start; i = came[i]) points.push(navCellCenter(grid, i));
+    points.reverse();
+    points.push(end);
+    return smoothPath({ x: sx, y: sy }, points, grid.r);
   }
 
-  /** @param {Rect} rect @param {Rect[]} solids */
-  function collides(rect, solids) {
-    for (const s of solids) if (rectsOverlap(rect, s)) return true;
-    return false;
+  /** 從目前位置往後看，能直走到的最遠轉折點就跳過中間那些 @param {Point} from @param {Point[]} points @param {number} r */
+  function smoothPath(from, points, r) {
+    /** @type {Point[]} */
+    const out = [];
+    let anchor = from;
+    let i = 0;
+    while (i < points.length) {
+      let j = points.length - 1;
+      while (j > i && !segmentWalkable(anchor.x, anchor.y, points[j].x, points[j].y, r)) j--;
+      out.push(points[j]);
+      anchor = points[j];
+      i = j + 1;
+    }
+    return out;
   }
 
-  function clamp(v, min, max) {
-    return Math.max(min, Math.min(max, v));
+  /** 沿著路徑走 speed * dt（會吃掉走到的點）；走完回傳 true @param {Point} e @param {Point[]} path @param {number} speed @param {number} dt */
+  function followPath(e, path, speed, dt) {
+    let budget = speed * dt;
+    while (path.length > 0 && budget > 0) {
+      const p = path[0];
+      const d = dist(e.x, e.y, p.x, p.y);
+      if (d <= budget) {
+        e.x = p.x;
+        e.y = p.y;
+        budget -= d;
+        path.shift();
+        continue;
+      }
+      e.x += ((p.x - e.x) / d) * budget;
+      e.y += ((p.y - e.y) / d) * budget;
+      budget = 0;
+    }
+    return path.length === 0;
   }
 
-  /** 村莊地形：用一些矩形當房子/水池/柵欄（可碰撞） */
-  /** @type {Rect[]} */
-  const solids = [
-    // 外框（讓玩家不走出世界）
-    { x: -9999, y: -9999, w: 9999, h: WORLD.h + 19998 }, // left wall
-    { x: WORLD.w, y: -9999, w: 9999, h: WORLD.h + 19998 }, // right wall
-    { x: -9999, y: -9999, w: WORLD.w + 19998, h: 9999 }, // top wall
-    { x: -9999, y: WORLD.h, w: WORLD.w + 19998, h: 9999 }, // bottom wall
-
-    // 房屋群（貓咪村莊）
-    { x: 240, y: 180, w: 380, h: 240 },
-    { x: 720, y: 160, w: 420, h: 260 },
-    { x: 1240, y: 210, w: 420, h: 230 },
-    { x: 320, y: 520, w: 360, h: 240 },
-    { x: 840, y: 560, w: 430, h: 260 },
-
-    // 小水池
-    { x: 1260, y: 620, w: 420, h: 260 },
-
-    // 柵欄（小迷宮感）
-    { x: 120, y: 880, w: 820, h: 40 },
-    { x: 120, y: 760, w: 40, h: 160 },
-    { x: 900, y: 760, w: 40, h: 160 },
-    { x: 520, y: 740, w: 40, h: 180 },
-  ];
+  /** 玩家出生點（地圖的 spawn「player」，座標是玩家矩形左上角） */
+  const INITIAL_PLAYER = (() => {
+    const { o } = requireMapObject("spawn", "player");
+    return {
+      x: o.x,
+      y: o.y,
+      facing: /** @type {Facing} */ (FACINGS.includes(o.facing) ? o.facing : "down"),
+    };
+  })();
 
   /** 玩家 */
   const player = {
-    x: 520,
-    // 避免一開始就卡在柵欄碰撞盒（solids 裡 y: 880~920）
-    y: 940,
+    x: INITIAL_PLAYER.x,
+    y: INITIAL_PLAYER.y,
     w: 28,
     h: 34,
     speed: 240, // px/s
     facing: /** @type {"up"|"down"|"left"|"right"} */ ("down"),
+    // 戰鬥：揮爪剩餘時間、冷卻、受傷後的無敵時間、擊退速度
+    swing: 0,
+    swingCooldown: 0,
+    invuln: 0,
+    kbx: 0,
+    kby: 0,
   };
 
-  /** @typedef {{ id:string; name:string; x:number; y:number; r:number; palette: {base:string; spot:string}; spriteSrc?: string; spriteScale?: number; wander?: { radius:number; speed:number; pause:[number, number] }; dialogue: string[]; gift: { name:string; desc:string } }} Npc */
+  /** @typedef {{ id:string; name:string; x:number; y:number; r:number; palette: {base:string; spot:string}; spriteSrc?: string; spriteScale?: number; wander?: { radius:number; speed:number; pause:[number, number] }; dialogue: DialogueLine[] | DialogueGraph; gift?: string; schedule?: ScheduleEntry[]; map: string }} Npc */
   /** @type {Npc[]} */
   const npcs = [
     {
       id: "npc-mikan",
       name: "蜜柑（橘白貓）",
-      x: 420,
-      y: 460,
       r: 22,
       palette: { base: "#ffb057", spot: "#fff2de" },
       spriteSrc: "./assets/npcs/orange_cat.png",
       spriteScale: 1.45,
       wander: { radius: 56, speed: 40, pause: [0.35, 1.2] },
-      dialogue: [
-        "喵！歡迎來到貓咪村莊～今天的風很舒服吧？",
-        "我在收集陽光曬過的毛毛，聞起來像餅乾。",
-        "你願意幫我把好心情帶去給別的貓咪嗎？",
+      schedule: [
+        { from: 6, to: 11, at: "spot-sunny-path", activity: "sunbathe", radius: 30, line: "早上的太陽最舒服了…呼嚕呼嚕。", when: [{ type: "weather", is: ["clear"] }] },
+        { from: 11, to: 16, at: "spot-shop-front", activity: "shopping", radius: 36, line: "我在看商店今天進了什麼新貨！" },
+        { from: 20, to: 6, at: "spot-mikan-rug", activity: "sleep", radius: 0, line: "（蜜柑縮成一團，迷迷糊糊地說）……再五分鐘就好……" },
       ],
-      gift: { name: "一小撮暖暖貓毛", desc: "陽光味的毛毛，摸起來超蓬鬆。" },
+      dialogue: {
+        start: [
+          { to: "report", when: [{ type: "quest", id: "mikan-mood", step: 2 }] },
+          { to: "waiting", when: [{ type: "quest", id: "mikan-mood", state: "active" }] },
+          { to: "thanks", when: [{ type: "flag", key: "mikan.helpAccepted" }] },
+          { to: "hello" },
+        ],
+        nodes: {
+          report: { text: "櫻餅跟小黑都收到好心情了？[shake]太好了！[/shake]這個蝴蝶結送你～", next: "fur" },
+          waiting: { text: "櫻餅在東邊的花圃旁，小黑在北邊的大房子附近，拜託你囉！", next: "fur" },
+          thanks: { text: "是你！謝謝你願意幫我把好心情送出去～大家有沒有笑呀？", next: "fur" },
+          hello: { text: "[shake]喵！[/shake]歡迎來到[c=accent]貓咪村莊[/c]～今天的風很舒服吧？", next: "fur" },
+          rainy: { text: "下雨了…[p=0.4]毛都濕答答的，今天曬不到太陽了。", next: "ask" },
+          fur: {
+            text: "我在收集陽光曬過的毛毛，聞起來像餅乾。",
+            next: [{ to: "rainy", when: [{ type: "weather", is: ["rain", "snow"] }] }, { to: "ask" }],
+          },
+          ask: {
+            text: "你願意幫我把好心情帶去給別的貓咪嗎？",
+            when: [{ type: "not", cond: { type: "flag", key: "mikan.helpAccepted" } }],
+            choices: [
+              {
+                text: "當然好！",
+                next: "yes",
+                effects: [
+                  { type: "flag", key: "mikan.helpAccepted" },
+                  { type: "quest", id: "mikan-mood" },
+                ],
+              },
+              { text: "我想先自己逛逛。", next: "later" },
+            ],
+          },
+          yes: { text: "太好了！先去找櫻餅，再去找小黑～大家一定會開心得打呼嚕！" },
+          later: { text: "沒關係～想幫忙的時候再來找我喔。" },
+        },
+      },
+      gift: "fur-mikan",
     },
     {
       id: "npc-kuro",
       name: "小黑（黑貓）",
-      x: 980,
-      y: 470,
       r: 22,
       palette: { base: "#1c2136", spot: "#4a5380" },
       spriteSrc: "./assets/npcs/black_cat.png",
       spriteScale: 1.45,
       wander: { radius: 52, speed: 38, pause: [0.45, 1.3] },
+      schedule: [
+        { from: 13, to: 16, at: "spot-kuro-rug", activity: "nap", radius: 0, line: "（小黑半睜開一隻眼睛）……午覺時間，小聲一點。" },
+        { from: 21, to: 4, at: "spot-pond-south", activity: "stargaze", radius: 24, line: "今晚的星星倒映在池子裡，兩倍的份量。", when: [{ type: "weather", is: ["clear"] }] },
+      ],
       dialogue: [
-        "……（你感覺到一股沉穩的氣場）",
-        "別怕，我只是走路很安靜。",
-        "給你一根鬍鬚，聽說可以帶來「看清真相」的運氣。",
+        "……[p=0.6]（你感覺到一股沉穩的氣場）",
+        { text: "……蜜柑的好心情？[p=0.4]嗯，收到了。", when: [{ type: "quest", id: "mikan-mood", step: 1 }] },
+        { text: "又是你啊……我記得你的腳步聲。", when: [{ type: "visits", atLeast: 2 }] },
+        { text: "別怕，我只是走路很安靜。", when: [{ type: "visits", below: 2 }] },
+        { text: "夜晚是我的時間，眼睛會特別亮。", when: [{ type: "timeOfDay", is: ["evening", "night"] }] },
+        { text: "起霧了。[p=0.4]霧裡的盜賊膽子特別大，錢包抓緊一點。", when: [{ type: "weather", is: ["fog"] }] },
+        "給你一根鬍鬚，聽說可以帶來「[b]看清真相[/b]」的運氣。",
       ],
-      gift: { name: "小黑的鬍鬚", desc: "筆直又有精神，像夜裡的星光。" },
+      gift: "whisker-kuro",
     },
     {
       id: "npc-sakura",
       name: "櫻餅（三花貓）",
-      x: 1480,
-      y: 510,
       r: 22,
       palette: { base: "#f4d7c8", spot: "#c86f62" },
       spriteSrc: "./assets/npcs/flower_cat.png",
       spriteScale: 1.45,
       wander: { radius: 60, speed: 42, pause: [0.35, 1.15] },
-      dialogue: [
-        "嘿～旅人！你看得出我今天是哪一種心情花色嗎？",
-        "我把甜甜的故事藏在尾巴裡。",
-        "如果你願意聽完，我就送你一根「故事鬍鬚」。",
+      schedule: [
+        { from: 14, to: 17, at: "spot-market-tea", activity: "tea", radius: 30, line: "市集這攤的花茶超香，你也坐下來喝一杯嘛。" },
+        { from: 22, to: 7, at: "spot-sakura-rug", activity: "sleep", radius: 0, line: "（櫻餅抱著尾巴睡得很熟）……嗯…花…" },
       ],
-      gift: { name: "櫻餅的故事鬍鬚", desc: "據說拿著它，說故事會變得更動聽。" },
+      dialogue: {
+        start: [
+          { to: "mood", when: [{ type: "quest", id: "mikan-mood", step: 0 }] },
+          { to: "again", when: [{ type: "flag", key: "sakura.moodGuessed" }] },
+          { to: "hello" },
+        ],
+        nodes: {
+          mood: {
+            text: "蜜柑託你帶好心情來？[shake]喵～[/shake]收到了，尾巴都翹起來了！",
+            next: [{ to: "again", when: [{ type: "flag", key: "sakura.moodGuessed" }] }, { to: "hello" }],
+          },
+          // 猜中過一次就不再考（獎勵只有一次）
+          again: { text: "嘿～又見面了！上次你一眼就猜中我的心情花色呢。", next: "story" },
+          hello: {
+            text: "嘿～旅人！你看得出我今天是哪一種心情花色嗎？",
+            choices: [
+              { text: "粉紅色，因為你在笑！", next: "right" },
+              { text: "嗯……灰色？", next: "wrong" },
+            ],
+          },
+          right: {
+            text: "答對了～這是猜中心情的獎勵！",
+            effects: [
+              { type: "coins", amount: 3, once: "sakura.moodReward" },
+              { type: "flag", key: "sakura.moodGuessed" },
+            ],
+            next: "story",
+          },
+          wrong: { text: "嘿嘿，才不是呢～不過沒關係。", next: "story" },
+          story: { text: "我把甜甜的故事藏在尾巴裡。", next: "offer" },
+          offer: { text: "如果你願意聽完，我就送你一根「故事鬍鬚」。" },
+        },
+      },
+      gift: "whisker-sakura",
     },
     {
       id: "npc-shiro",
       name: "小雪（白貓）",
-      x: 700,
-      y: 860,
       r: 22,
       palette: { base: "#f5fbff", spot: "#cbe6ff" },
       spriteSrc: "./assets/npcs/white_cat.png",
       spriteScale: 1.45,
       wander: { radius: 50, speed: 36, pause: [0.5, 1.4] },
-      dialogue: [
-        "喵～你走路的節奏很溫柔。",
-        "村莊有些地方不能踩進去喔（像水池跟房子）。",
-        "這份小禮物給你：它會讓你想起這裡的安靜。",
-      ],
-      gift: { name: "一撮雪白軟毛", desc: "柔柔的像棉花糖，聞起來像新洗的被子。" },
+      dialogue: {
+        start: [{ to: "hurt", when: [{ type: "hp", belowRatio: 0.5 }] }, { to: "hello" }],
+        nodes: {
+          hurt: { text: "喵…[p=0.4]你身上有抓痕，是[c=pink]凶狠貓[/c]吧？", next: "lick" },
+          lick: { text: "別動，讓我幫你舔一舔。（HP +15）", effects: [{ type: "heal", amount: 15 }], next: "hello" },
+          pillow: {
+            text: "啊，是暖暖貓毛！枕頭終於完成了～這個給你。",
+            when: [
+              { type: "quest", id: "shiro-pillow", step: 0 },
+              { type: "item", id: "fur-mikan" },
+            ],
+            next: "gift",
+          },
+          hello: { text: "喵～你走路的節奏很溫柔。", next: "rules" },
+          rules: { text: "村莊有些地方不能踩進去喔（像水池跟房子）。", next: "pillow" },
+          gift: { text: "這份小禮物給你：它會讓你想起這裡的安靜。" },
+        },
+      },
+      gift: "fur-shiro",
     },
     {
       id: "npc-tora",
       name: "虎斑師傅（虎斑貓）",
-      x: 1080,
-      y: 860,
       r: 22,
       palette: { base: "#caa36b", spot: "#6d4b2f" },
       spriteSrc: "./assets/npcs/tiger_cat.png",
       spriteScale: 1.45,
       wander: { radius: 54, speed: 40, pause: [0.35, 1.2] },
+      schedule: [{ from: 22, to: 5, at: "spot-tora-mat", activity: "sleep", radius: 0, line: "（虎斑師傅在墊子上打呼）……明天…再練……" }],
       dialogue: [
         "看好腳步，方向鍵要穩，轉向要果斷。",
+        { text: "嗯，腳步穩多了。這張證書是你應得的。", when: [{ type: "quest", id: "tora-training", step: 2 }] },
+        { text: "喔？口袋鼓鼓的，少說也有 50 金幣吧。[c=pink]小心盜賊盯上你！[/c]", when: [{ type: "coins", atLeast: 50 }] },
+        { text: "身上沒幾個錢？多跟貓咪們聊聊天，禮物拿去商店換錢。", when: [{ type: "coins", below: 5 }] },
         "靠近我時，空白鍵能打開話匣子（也能打開你的勇氣）。",
+        "我旁邊那張工作台借你用：材料湊齊了，就能合成新東西。",
         "拿去吧，這是「練功用的貓毛」，別告訴別人。",
       ],
-      gift: { name: "虎斑師傅的練功毛", desc: "硬挺又有彈性，像是在說：再走一步。" },
+      gift: "fur-tora",
+    },
+    // 住在蜜柑家裡的老爺爺：沒有禮物，只陪你聊天
+    {
+      id: "npc-afu",
+      name: "阿福（蜜柑的爺爺）",
+      r: 22,
+      palette: { base: "#b8bec7", spot: "#6f7782" },
+      wander: { radius: 36, speed: 24, pause: [0.9, 2.2] },
+      dialogue: [
+        "喔？是客人啊。[p=0.5]蜜柑又跑出去玩了吧。",
+        { text: "你來村裡也好幾天了，住得還習慣嗎？", when: [{ type: "day", atLeast: 3 }] },
+        { text: "外面有怪貓在晃？[p=0.4]在屋裡歇歇腳，牠們進不來的。", when: [{ type: "hp", belowRatio: 0.5 }] },
+        { text: "天黑了還在外頭跑，年輕真好。", when: [{ type: "timeOfDay", is: ["evening", "night"] }] },
+        { text: "下雪啦……我年輕的時候，最愛在雪地裡打滾。", when: [{ type: "weather", is: ["snow"] }] },
+        "這屋子是我年輕時蓋的，門口那塊地毯比蜜柑還老呢。",
+      ],
+    },
+    // 村莊外面的區域（maps/outdoors.js）
+    {
+      id: "npc-haru",
+      name: "阿春（漁夫貓）",
+      r: 22,
+      palette: { base: "#8fa3b8", spot: "#3f5670" },
+      wander: { radius: 40, speed: 30, pause: [0.8, 2.0] },
+      dialogue: [
+        "噓——[p=0.5]魚快上鉤了。",
+        { text: "晚上的魚比較笨，也比較肥。", when: [{ type: "timeOfDay", is: ["evening", "night"] }] },
+        { text: "小雨天魚最愛浮上來，今天有得忙囉。", when: [{ type: "weather", is: ["rain"], heavy: false }] },
+        { text: "雨這麼大，船都綁好了，連盜賊都躲回窩裡去了。你也早點找地方躲雨吧。", when: [{ type: "weather", is: ["rain"], heavy: true }] },
+        { text: "霧這麼濃，連浮標都看不見了……", when: [{ type: "weather", is: ["fog"] }] },
+        { text: "口袋這麼多錢？去市場街逛逛吧，麥芽那裡什麼都有。", when: [{ type: "coins", atLeast: 50 }] },
+        "往東走回村莊，一路沿著沙灘的腳印就對了。",
+      ],
+    },
+    {
+      id: "npc-mugi",
+      name: "麥芽（雜貨貓）",
+      r: 22,
+      palette: { base: "#e8c27a", spot: "#9a6b2f" },
+      wander: { radius: 70, speed: 36, pause: [0.5, 1.4] },
+      dialogue: [
+        "歡迎來到市場街～今天的攤位都是鄰村的貓擺的喔。",
+        { text: "想賣禮物？村裡那間商店收得比較好，我這裡只是看看熱鬧。", when: [{ type: "coins", below: 5 }] },
+        "聽說北邊森林裡住著一隻[c=pink]山貓[/c]，凶得很，別一個人往深處走。",
+      ],
     },
   ];
 
-  // 記錄 NPC 出生點（用於新遊戲/重置狀態）
-  for (const npc of npcs) npcSpawn.set(npc.id, { x: npc.x, y: npc.y });
+  // NPC 站在地圖上的 npc 物件那裡，並記下出生點（用於新遊戲/重置狀態）
+  for (const npc of npcs) {
+    const { map, o } = requireMapObject("npc", npc.id);
+    npc.map = map;
+    npc.x = o.x;
+    npc.y = o.y;
+    npcSpawn.set(npc.id, { map, x: npc.x, y: npc.y });
+    // 作息寫到不存在的地點時，開場就報錯
+    for (const e of npc.schedule ?? []) requireMapObject("spot", e.at);
+  }
 
   function rand(min, max) {
     return min + Math.random() * (max - min);
@@ -600,7 +3122,12 @@
     }
   }
 
-  /** @typedef {{ homeX:number; homeY:number; tx:number; ty:number; wait:number }} NpcWanderState */
+  /**
+   * path 是 null 表示還沒規劃（等停下來的時間結束後才算，免得用到舊位置）。
+   * 有作息的 NPC：entry 是目前的時段（undefined＝還沒看過時鐘）、travel＝正在趕去那裡、via＝要穿過的門 / 通道；
+   * radius 是在目的地附近閒晃的範圍。
+   */
+  /** @typedef {{ homeX:number; homeY:number; tx:number; ty:number; wait:number; path: Point[] | null; radius:number; entry?: ScheduleEntry | null; travel:boolean; via: MapObject | null }} NpcWanderState */
   /** @type {Map<string, NpcWanderState>} */
   const npcWander = new Map();
 
@@ -613,6 +3140,11 @@
         tx: npc.x,
         ty: npc.y,
         wait: rand(npc.wander.pause[0], npc.wander.pause[1]),
+        path: [],
+        radius: npc.wander.radius,
+        entry: undefined,
+        travel: false,
+        via: null,
       });
     }
   }
@@ -622,17 +3154,23 @@
     if (!w) return;
     // 圓內均勻取樣：半徑用 sqrt
     const a = Math.random() * Math.PI * 2;
-    const r = Math.sqrt(Math.random()) * w.radius;
+    const r = Math.sqrt(Math.random()) * st.radius;
     const x = st.homeX + Math.cos(a) * r;
     const y = st.homeY + Math.sin(a) * r;
-    st.tx = clamp(x, 0 + npc.r, WORLD.w - npc.r);
-    st.ty = clamp(y, 0 + npc.r, WORLD.h - npc.r);
+    sendNpcTo(st, clamp(x, 0 + npc.r, WORLD.w - npc.r), clamp(y, 0 + npc.r, WORLD.h - npc.r));
+  }
+
+  /** 讓 NPC 走到某個點（會沿著導航路徑繞過房子和柵欄） @param {NpcWanderState} st @param {number} x @param {number} y */
+  function sendNpcTo(st, x, y) {
+    st.tx = x;
+    st.ty = y;
+    st.path = null;
   }
 
   function updateNpcWander(dt) {
     for (const npc of npcs) {
       const w = npc.wander;
-      if (!w) continue;
+      if (!w || !onCurrentMap(npc)) continue;
       const st = npcWander.get(npc.id);
       if (!st) continue;
 
@@ -641,81 +3179,242 @@
         continue;
       }
 
-      const dx = st.tx - npc.x;
-      const dy = st.ty - npc.y;
-      const d = Math.hypot(dx, dy);
-      if (d < 2) {
+      if (!st.path) st.path = findPath(npc.x, npc.y, st.tx, st.ty, npc.r);
+      // 到了，或是根本走不到：換個目標，停一下
+      if (!st.path || followPath(npc, st.path, st.travel ? w.speed * NPC_TRAVEL_SPEEDUP : w.speed, dt)) {
+        // 走到門口（或走不過去）：直接換到另一張地圖的目的地
+        if (st.via) {
+          const dest = scheduleDestination(npc, st.entry ?? null);
+          placeNpcAt(npc, st, dest.map, dest.x, dest.y);
+          continue;
+        }
+        const arrived = !!st.path;
+        st.travel = false;
         pickNpcTarget(npc, st);
-        st.wait = rand(w.pause[0], w.pause[1]);
+        st.wait = rand(w.pause[0], w.pause[1]) * (arrived ? 1 : 0.6);
         continue;
       }
 
-      const step = Math.min(w.speed * dt, d);
-      const nx = npc.x + (dx / d) * step;
-      const ny = npc.y + (dy / d) * step;
-
-      // 簡易避障：用 NPC 外接矩形檢查是否撞到 solid，撞到就換目標並稍微停一下
-      const rect = { x: nx - npc.r, y: ny - npc.r, w: npc.r * 2, h: npc.r * 2 };
-      if (collides(rect, solids)) {
-        pickNpcTarget(npc, st);
-        st.wait = rand(w.pause[0], w.pause[1]) * 0.6;
-        continue;
+      // 走太遠時拉回（避免長時間累積誤差）；趕路中不算
+      const homeD = dist(npc.x, npc.y, st.homeX, st.homeY);
+      if (!st.travel && homeD > st.radius * 1.15 && (st.tx !== st.homeX || st.ty !== st.homeY)) {
+        // 直接把目標設回家（繞路時也可能暫時走遠，已經在回家路上就不再重設）
+        sendNpcTo(st, st.homeX, st.homeY);
+        st.wait = rand(0.05, 0.2) * clamp01((homeD - st.radius) / Math.max(1, st.radius));
       }
+    }
+  }
+
+  /**
+   * NPC 作息：schedule 裡每一段是「from～to 點（to 比 from 小＝跨過半夜）在 at 這個 spot 做 activity」。
+   * 時段一換就走過去（要換地圖時先走到相連的門 / 通道）；不在畫面上的 NPC 直接出現在該在的地方。
+   * 沒有符合的時段、或根本沒寫 schedule，就在出生點附近閒晃。
+   */
+  /** @typedef {"sunbathe"|"shopping"|"sleep"|"nap"|"stargaze"|"tea"} NpcActivity */
+  /** line：這時候找牠說話，會先說這句；when：額外條件（例如只有晴天才去曬太陽） @typedef {{ from: number; to: number; at: string; activity: NpcActivity; radius?: number; line?: string; when?: DialogueCondition[] }} ScheduleEntry */
+
+  /** @type {Record<NpcActivity, { label: string; icon: string }>} */
+  const NPC_ACTIVITIES = {
+    sunbathe: { label: "曬太陽", icon: "☀️" },
+    shopping: { label: "逛商店", icon: "🛍" },
+    sleep: { label: "睡覺", icon: "💤" },
+    nap: { label: "午睡", icon: "💤" },
+    stargaze: { label: "看星星", icon: "✨" },
+    tea: { label: "喝下午茶", icon: "🍵" },
+  };
+  // 趕去下一個地點時走快一點
+  const NPC_TRAVEL_SPEEDUP = 1.8;
+
+  /** @param {Npc} npc @returns {ScheduleEntry | null} */
+  function currentScheduleEntry(npc) {
+    if (!npc.schedule) return null;
+    const h = clockHour();
+    return npc.schedule.find((e) => (e.from <= e.to ? h >= e.from && h < e.to : h >= e.from || h < e.to) && conditionsMet(e.when)) ?? null;
+  }
 
-      npc.x = nx;
-      npc.y = ny;
+  /** 正在做的事（趕路中不算） @param {Npc} npc */
+  function npcActivity(npc) {
+    const st = npcWander.get(npc.id);
+    if (!st?.entry || st.travel) return null;
+    return NPC_ACTIVITIES[st.entry.activity] ?? null;
+  }
 
-      // 走太遠時拉回（避免長時間累積誤差）
-      const homeD = dist(npc.x, npc.y, st.homeX, st.homeY);
-      if (homeD > w.radius * 1.15) {
-        // 直接把目標設回家附近
-        st.tx = st.homeX;
-        st.ty = st.homeY;
-        st.wait = rand(0.05, 0.2) * clamp01((homeD - w.radius) / w.radius);
+  /** @param {Npc} npc @param {ScheduleEntry | null} entry @returns {{ map: string; x: number; y: number }} */
+  function scheduleDestination(npc, entry) {
+    if (entry) {
+      const { map, o } = requireMapObject("spot", entry.at);
+      return { map, x: o.x, y: o.y };
+    }
+    const spawn = npcSpawn.get(npc.id);
+    return spawn ?? { map: npc.map, x: npc.x, y: npc.y };
+  }
+
+  /** fromMap 上通往 toMap 的門 / 通道 @param {string} fromMap @param {string} toMap */
+  function entryToward(fromMap, toMap) {
+    return maps[fromMap]?.objects.find((o) => ENTRY_TYPES.includes(o.type) && o.target?.map === toMap) ?? null;
+  }
+
+  /** 門 / 通道前面、NPC 可以站的點（facing 那一側） @param {MapObject} o @param {number} r */
+  function entryFront(o, r) {
+    const cx = o.x + o.w / 2;
+    const cy = o.y + o.h / 2;
+    const gap = r + 6;
+    if (o.facing === "up") return { x: cx, y: o.y - gap };
+    if (o.facing === "left") return { x: o.x - gap, y: cy };
+    if (o.facing === "right") return { x: o.x + o.w + gap, y: cy };
+    return { x: cx, y: o.y + o.h + gap };
+  }
+
+  /** 直接把 NPC 放到某張地圖的某個點，並在那裡閒晃 @param {Npc} npc @param {NpcWanderState} st @param {string} map @param {number} x @param {number} y */
+  function placeNpcAt(npc, st, map, x, y) {
+    npc.map = map;
+    npc.x = x;
+    npc.y = y;
+    st.homeX = st.tx = x;
+    st.homeY = st.ty = y;
+    st.path = [];
+    st.travel = false;
+    st.via = null;
+  }
+
+  /** @param {Npc} npc @param {NpcWanderState} st */
+  function headToSchedule(npc, st) {
+    const dest = scheduleDestination(npc, st.entry ?? null);
+    st.radius = st.entry?.radius ?? npc.wander?.radius ?? 0;
+    st.wait = 0;
+    st.travel = true;
+    st.via = null;
+    const here = currentMap.data.id;
+    if (npc.map === here && dest.map === here) {
+      st.homeX = dest.x;
+      st.homeY = dest.y;
+      sendNpcTo(st, dest.x, dest.y);
+      return;
+    }
+    if (npc.map === here) {
+      // 走到相連的門口，到了再換地圖（updateNpcWander）
+      const door = entryToward(here, dest.map);
+      if (door) {
+        const p = entryFront(door, npc.r);
+        st.via = door;
+        sendNpcTo(st, p.x, p.y);
+        return;
+      }
+    } else if (dest.map === here) {
+      // 從相連的門走進畫面
+      const door = entryToward(here, npc.map);
+      if (door) {
+        const p = entryFront(door, npc.r);
+        placeNpcAt(npc, st, here, p.x, p.y);
+        st.homeX = dest.x;
+        st.homeY = dest.y;
+        st.travel = true;
+        sendNpcTo(st, dest.x, dest.y);
+        return;
       }
     }
+    // 不在畫面上（或兩張地圖不相連）：直接到
+    placeNpcAt(npc, st, dest.map, dest.x, dest.y);
+  }
+
+  /** 每幀看一下時鐘：時段換了就出發；不在畫面上還在趕路的，直接送到 */
+  function updateNpcSchedules() {
+    for (const npc of npcs) {
+      if (!npc.schedule) continue;
+      const st = npcWander.get(npc.id);
+      if (!st) continue;
+      const entry = currentScheduleEntry(npc);
+      if (entry !== st.entry) {
+        st.entry = entry;
+        headToSchedule(npc, st);
+      } else if (st.travel && !onCurrentMap(npc)) headToSchedule(npc, st);
+    }
   }
 
-  /** 盜賊/凶狠貓：會亂跑並造成效果 */
-  /** @typedef {{ id:string; type:"thief"|"bruteCat"; name:string; x:number; y:number; r:number; color:string; wander:{ radius:number; speed:number; pause:[number,number] }; homeX:number; homeY:number; wait:number; tx:number; ty:number; cooldown:number }} Mob */
+  /** 盜賊/凶狠貓：照 MOB_AI 的狀態機行動；被打倒後掉錢幣，過一陣子在出生點復活 */
+  /** @typedef {"patrol"|"notice"|"chase"|"windup"|"recover"|"flee"} MobState */
+  /** @typedef {{ id:string; type:"thief"|"bruteCat"; name:string; x:number; y:number; r:number; color:string; wander:{ radius:number; speed:number; pause:[number,number] }; maxHp:number; drop:[number, number]; homeX:number; homeY:number; wait:number; tx:number; ty:number; cooldown:number; hp:number; invuln:number; kbx:number; kby:number; respawn:number; map:string; state:MobState; stateTime:number; lostSight:number; carried:number; path: Point[] | null; repath:number }} Mob */
   /** @type {Mob[]} */
   const mobs = [
     {
       id: "mob-thief",
       type: "thief",
       name: "盜賊",
-      x: 360,
-      y: 980,
       r: 16,
       color: "rgba(255,107,136,.9)",
       wander: { radius: 220, speed: 120, pause: [0.1, 0.5] },
-      homeX: 360,
-      homeY: 980,
+      maxHp: 2,
+      drop: [3, 6],
       wait: 0.2,
-      tx: 360,
-      ty: 980,
       cooldown: 0,
+      hp: 2,
+      invuln: 0,
+      kbx: 0,
+      kby: 0,
+      respawn: 0,
+      state: "patrol",
+      stateTime: 0,
+      lostSight: 0,
+      carried: 0,
+      path: null,
+      repath: 0,
     },
     {
       id: "mob-brute",
       type: "bruteCat",
       name: "凶狠貓",
-      x: 1180,
-      y: 980,
       r: 20,
       color: "rgba(255,176,87,.95)",
       wander: { radius: 260, speed: 110, pause: [0.15, 0.6] },
-      homeX: 1180,
-      homeY: 980,
+      maxHp: 4,
+      drop: [8, 14],
       wait: 0.25,
-      tx: 1180,
-      ty: 980,
       cooldown: 0,
+      hp: 4,
+      invuln: 0,
+      kbx: 0,
+      kby: 0,
+      respawn: 0,
+      state: "patrol",
+      stateTime: 0,
+      lostSight: 0,
+      carried: 0,
+      path: null,
+      repath: 0,
+    },
+    {
+      id: "mob-lynx",
+      type: "bruteCat",
+      name: "山貓",
+      r: 22,
+      color: "rgba(202,163,107,.95)",
+      wander: { radius: 240, speed: 115, pause: [0.2, 0.7] },
+      maxHp: 5,
+      drop: [10, 18],
+      wait: 0.3,
+      cooldown: 0,
+      hp: 5,
+      invuln: 0,
+      kbx: 0,
+      kby: 0,
+      respawn: 0,
+      state: "patrol",
+      stateTime: 0,
+      lostSight: 0,
+      carried: 0,
+      path: null,
+      repath: 0,
     },
   ];
 
-  // 記錄 mobs 出生點（用於新遊戲/重置狀態）
-  for (const m of mobs) mobSpawn.set(m.id, { x: m.x, y: m.y });
+  // mobs 從地圖上同名的 spawn 出發，並記下出生點（用於新遊戲/重置狀態）
+  for (const m of mobs) {
+    const { map, o } = requireMapObject("spawn", m.id);
+    m.map = map;
+    m.x = m.homeX = m.tx = o.x;
+    m.y = m.homeY = m.ty = o.y;
+    mobSpawn.set(m.id, { x: m.x, y: m.y });
+  }
 
   function initMobs() {
     for (const m of mobs) {
@@ -725,6 +3424,13 @@
       m.ty = m.y;
       m.wait = rand(m.wander.pause[0], m.wander.pause[1]);
       m.cooldown = 0;
+      m.hp = m.maxHp;
+      m.invuln = 0;
+      m.kbx = 0;
+      m.kby = 0;
+      m.respawn = 0;
+      m.carried = 0;
+      setMobState(m, "patrol");
     }
   }
 
@@ -735,6 +3441,7 @@
     const y = m.homeY + Math.sin(a) * r;
     m.tx = clamp(x, 0 + m.r, WORLD.w - m.r);
     m.ty = clamp(y, 0 + m.r, WORLD.h - m.r);
+    m.path = null;
   }
 
   function updateMobWander(dt, m) {
@@ -742,66 +3449,739 @@
       m.wait -= dt;
       return;
     }
-    const dx = m.tx - m.x;
-    const dy = m.ty - m.y;
-    const d = Math.hypot(dx, dy);
-    if (d < 2) {
+    if (!m.path) m.path = findPath(m.x, m.y, m.tx, m.ty, m.r);
+    if (!m.path || followPath(m, m.path, m.wander.speed, dt)) {
+      const arrived = !!m.path;
+      pickMobTarget(m);
+      m.wait = rand(m.wander.pause[0], m.wander.pause[1]) * (arrived ? 1 : 0.5);
+    }
+  }
+
+  /** 戰鬥數值 */
+  const COMBAT = {
+    swingSeconds: 0.18,
+    swingCooldown: 0.35,
+    // 判定框：玩家面前 reach × width 的長方形
+    reach: 40,
+    width: 44,
+    damage: 1,
+    mobInvuln: 0.4,
+    mobKnockback: 320,
+    playerInvuln: 1.0,
+    playerKnockback: 360,
+    // 擊退速度每秒衰減的比例（越大停得越快）
+    knockbackDrag: 10,
+    respawnSeconds: 25,
+    dropLifetime: 30,
+  };
+
+  /** 打倒 mob 後掉在地上的錢幣，走過去就撿起來 */
+  /** @typedef {{ map:string; x:number; y:number; amount:number; ttl:number }} CoinDrop */
+  /** @type {CoinDrop[]} */
+  const coinDrops = [];
+
+  /** 揮爪的判定框（世界座標） @returns {Rect} */
+  function swingHitbox() {
+    const { cx, cy } = playerCenter();
+    const { reach, width } = COMBAT;
+    const halfW = player.w / 2;
+    const halfH = player.h / 2;
+    if (player.facing === "up") return { x: cx - width / 2, y: cy - halfH - reach, w: width, h: reach };
+    if (player.facing === "down") return { x: cx - width / 2, y: cy + halfH, w: width, h: reach };
+    if (player.facing === "left") return { x: cx - halfW - reach, y: cy - width / 2, w: reach, h: width };
+    return { x: cx + halfW, y: cy - width / 2, w: reach, h: width };
+  }
+
+  /** @param {Rect} rect @param {number} x @param {number} y @param {number} r */
+  function circleHitsRect(rect, x, y, r) {
+    const nx = clamp(x, rect.x, rect.x + rect.w);
+    const ny = clamp(y, rect.y, rect.y + rect.h);
+    return dist(x, y, nx, ny) <= r;
+  }
+
+  function tryAttack() {
+    if (player.swingCooldown > 0 || save.stats.hp <= 0) return;
+    player.swing = COMBAT.swingSeconds;
+    player.swingCooldown = COMBAT.swingCooldown;
+    const box = swingHitbox();
+    const { cx, cy } = playerCenter();
+    for (const m of mobs) {
+      if (m.respawn > 0 || m.invuln > 0 || !onCurrentMap(m)) continue;
+      if (!circleHitsRect(box, m.x, m.y, m.r)) continue;
+      hitMob(m, cx, cy);
+    }
+  }
+
+  /** @param {Mob} m @param {number} fromX @param {number} fromY */
+  function hitMob(m, fromX, fromY) {
+    m.hp = Math.max(0, m.hp - COMBAT.damage);
+    m.invuln = COMBAT.mobInvuln;
+    const d = dist(fromX, fromY, m.x, m.y);
+    const ax = d > 0 ? (m.x - fromX) / d : 0;
+    const ay = d > 0 ? (m.y - fromY) / d : 1;
+    m.kbx = ax * COMBAT.mobKnockback;
+    m.kby = ay * COMBAT.mobKnockback;
+    if (m.hp <= 0) defeatMob(m);
+    else {
+      setHintTemp(`打中${m.name}了！（剩 ${m.hp}/${m.maxHp}）`, 0.8);
+      // 被打會中斷出手；凶狠貓被惹毛直接追過來，帶著錢的盜賊繼續逃
+      if (m.type === "bruteCat" && m.state !== "flee") setMobState(m, "chase");
+    }
+  }
+
+  /** 偷走的錢也一起掉出來 @param {Mob} m */
+  function defeatMob(m) {
+    const amount = Math.floor(rand(m.drop[0], m.drop[1] + 1)) + m.carried;
+    coinDrops.push({ map: m.map, x: m.x, y: m.y, amount, ttl: COMBAT.dropLifetime });
+    m.respawn = COMBAT.respawnSeconds;
+    m.kbx = 0;
+    m.kby = 0;
+    m.carried = 0;
+    setMobState(m, "patrol");
+    setHintTemp(`打倒了${m.name}！牠掉了 ${amount} 金幣`, 1.6);
+  }
+
+  /** 在出生點復活 @param {Mob} m */
+  function respawnMob(m) {
+    const p = mobSpawn.get(m.id) ?? { x: m.homeX, y: m.homeY };
+    m.x = p.x;
+    m.y = p.y;
+    m.homeX = p.x;
+    m.homeY = p.y;
+    m.tx = p.x;
+    m.ty = p.y;
+    m.hp = m.maxHp;
+    m.invuln = 0;
+    m.cooldown = 0;
+    m.wait = rand(m.wander.pause[0], m.wander.pause[1]);
+    setMobState(m, "patrol");
+  }
+
+  /**
+   * 擊退位移：X/Y 分開檢查 solids，撞牆的那一軸直接停下。
+   * 圓形角色傳中心點，矩形（玩家）傳左上角。
+   * @param {{ x:number; y:number; kbx:number; kby:number }} e @param {number} dt @param {number} w @param {number} h @param {number} ox @param {number} oy
+   */
+  function applyKnockback(e, dt, w, h, ox, oy) {
+    if (e.kbx === 0 && e.kby === 0) return;
+    const dx = e.kbx * dt;
+    const dy = e.kby * dt;
+    const nx = clamp(e.x + dx, ox, WORLD.w - w + ox);
+    if (!collides({ x: nx - ox, y: e.y - oy, w, h }, solids)) e.x = nx;
+    else e.kbx = 0;
+    const ny = clamp(e.y + dy, oy, WORLD.h - h + oy);
+    if (!collides({ x: e.x - ox, y: ny - oy, w, h }, solids)) e.y = ny;
+    else e.kby = 0;
+    const keep = Math.max(0, 1 - COMBAT.knockbackDrag * dt);
+    e.kbx *= keep;
+    e.kby *= keep;
+    if (Math.hypot(e.kbx, e.kby) < 12) {
+      e.kbx = 0;
+      e.kby = 0;
+    }
+  }
+
+  /** 凶狠貓抓到玩家：扣血、往反方向彈開，並給一小段無敵時間 @param {Mob} m */
+  function hurtPlayer(m) {
+    const dmg = Math.floor(rand(4, 9));
+    player.invuln = COMBAT.playerInvuln;
+    const { cx, cy } = playerCenter();
+    const d = dist(m.x, m.y, cx, cy);
+    player.kbx = (d > 0 ? (cx - m.x) / d : 0) * COMBAT.playerKnockback;
+    player.kby = (d > 0 ? (cy - m.y) / d : 1) * COMBAT.playerKnockback;
+    setHintTemp(`凶狠貓抓了你一下（-${dmg} HP）`, 1.2);
+    clearMoveTarget();
+    // 最後才扣血：倒下時的提示要蓋過上面那句
+    takeDamage(dmg);
+  }
+
+  function updateCombat(dt) {
+    player.swing = Math.max(0, player.swing - dt);
+    player.swingCooldown = Math.max(0, player.swingCooldown - dt);
+    player.invuln = Math.max(0, player.invuln - dt);
+    applyKnockback(player, dt, player.w, player.h, 0, 0);
+
+    const { cx, cy } = playerCenter();
+    for (let i = coinDrops.length - 1; i >= 0; i--) {
+      const c = coinDrops[i];
+      c.ttl -= dt;
+      if (onCurrentMap(c) && dist(cx, cy, c.x, c.y) <= 28) {
+        addCoins(c.amount);
+        setHintTemp(`撿到 ${c.amount} 金幣`, 1.0);
+        coinDrops.splice(i, 1);
+      } else if (c.ttl <= 0) coinDrops.splice(i, 1);
+    }
+  }
+
+  /**
+   * mob 的行為狀態機（每種 type 一組數值）：
+   * patrol 在家附近閒晃 → notice 看到玩家愣一下 → chase 追過去 →
+   * 凶狠貓 windup 蓄力（有預警圈）後出手，再 recover 往後退；盜賊得手後 flee 帶著錢逃走。
+   * 「看到」＝在 sight 範圍內而且和玩家之間沒有 solids 擋著。
+   */
+  const MOB_AI = {
+    thief: { sight: 200, lose: 320, notice: 0.35, chaseSpeed: 150, reach: 40, fleeSpeed: 185, fleeSeconds: 5, fleeGrace: 0.6, recover: 1.2, catchRange: 34 },
+    bruteCat: { sight: 220, lose: 320, notice: 0.5, chaseSpeed: 140, reach: 52, windup: 0.45, hitRange: 60, recover: 0.9, backoffSpeed: 120, fleeRange: 180 },
+  };
+  // 起霧時盜賊比較大膽：看得更遠、更快撲上來、追得更久
+  const MOB_AI_FOG = { thief: { ...MOB_AI.thief, sight: 300, lose: 420, notice: 0.15, chaseSpeed: 165 } };
+  // 追丟多久就放棄
+  const MOB_LOSE_SIGHT_SECONDS = 1.5;
+  // 追/逃時目標一直在動，隔一下重算一次路徑
+  const MOB_REPATH_SECONDS = 0.5;
+  let mobDebug = false;
+
+  /** @param {Mob} m @param {MobState} state */
+  function setMobState(m, state) {
+    m.state = state;
+    m.stateTime = 0;
+    m.lostSight = 0;
+    m.path = null;
+    if (state === "patrol") {
       pickMobTarget(m);
       m.wait = rand(m.wander.pause[0], m.wander.pause[1]);
+    }
+  }
+
+  /** 線段與矩形是否相交（Liang–Barsky） @param {number} x1 @param {number} y1 @param {number} x2 @param {number} y2 @param {Rect} r */
+  function segmentHitsRect(x1, y1, x2, y2, r) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const p = [-dx, dx, -dy, dy];
+    const q = [x1 - r.x, r.x + r.w - x1, y1 - r.y, r.y + r.h - y1];
+    let t0 = 0;
+    let t1 = 1;
+    for (let i = 0; i < 4; i++) {
+      if (p[i] === 0) {
+        if (q[i] < 0) return false;
+        continue;
+      }
+      const t = q[i] / p[i];
+      if (p[i] < 0) {
+        if (t > t1) return false;
+        if (t > t0) t0 = t;
+      } else {
+        if (t < t0) return false;
+        if (t < t1) t1 = t;
+      }
+    }
+    return true;
+  }
+
+  /** @param {number} x1 @param {number} y1 @param {number} x2 @param {number} y2 */
+  function hasLineOfSight(x1, y1, x2, y2) {
+    return !solids.some((r) => segmentHitsRect(x1, y1, x2, y2, r));
+  }
+
+  /** 這隻 mob 現在的數值（會看天氣） @param {Mob} m */
+  function mobAi(m) {
+    if (m.type === "thief" && weatherIs("fog")) return MOB_AI_FOG.thief;
+    return MOB_AI[m.type];
+  }
+
+  /** @param {Mob} m */
+  function mobSeesPlayer(m) {
+    const { cx, cy } = playerCenter();
+    return dist(cx, cy, m.x, m.y) <= mobAi(m).sight && hasLineOfSight(m.x, m.y, cx, cy);
+  }
+
+  /** 往 (dirX, dirY) 走一步；X/Y 分開檢查碰撞，能沿著牆滑 @param {Mob} m */
+  function moveMob(m, dirX, dirY, speed, dt) {
+    const d = Math.hypot(dirX, dirY);
+    if (d === 0) return;
+    const nx = clamp(m.x + (dirX / d) * speed * dt, m.r, WORLD.w - m.r);
+    if (!collides({ x: nx - m.r, y: m.y - m.r, w: m.r * 2, h: m.r * 2 }, solids)) m.x = nx;
+    const ny = clamp(m.y + (dirY / d) * speed * dt, m.r, WORLD.h - m.r);
+    if (!collides({ x: m.x - m.r, y: ny - m.r, w: m.r * 2, h: m.r * 2 }, solids)) m.y = ny;
+  }
+
+  /** 往會動的目標走：能直走就直走，不然沿著路徑繞過去 @param {Mob} m @param {number} tx @param {number} ty */
+  function steerMob(m, tx, ty, speed, dt) {
+    m.repath -= dt;
+    if (segmentWalkable(m.x, m.y, tx, ty, m.r)) {
+      m.path = null;
+      moveMob(m, tx - m.x, ty - m.y, speed, dt);
       return;
     }
-    const step = Math.min(m.wander.speed * dt, d);
-    const nx = m.x + (dx / d) * step;
-    const ny = m.y + (dy / d) * step;
-    const rect = { x: nx - m.r, y: ny - m.r, w: m.r * 2, h: m.r * 2 };
-    if (collides(rect, solids)) {
-      pickMobTarget(m);
-      m.wait = rand(m.wander.pause[0], m.wander.pause[1]) * 0.5;
+    if (!m.path || m.path.length === 0 || m.repath <= 0) {
+      m.path = findPath(m.x, m.y, tx, ty, m.r) ?? [];
+      m.repath = MOB_REPATH_SECONDS;
+    }
+    if (m.path.length > 0) followPath(m, m.path, speed, dt);
+    else moveMob(m, tx - m.x, ty - m.y, speed, dt);
+  }
+
+  /** 背對玩家跑：目標放在反方向遠一點的地方，牆邊也會沿路徑繞開 @param {Mob} m */
+  function fleeFrom(m, cx, cy, speed, dt) {
+    const d = dist(cx, cy, m.x, m.y);
+    const ax = d > 0 ? (m.x - cx) / d : 1;
+    const ay = d > 0 ? (m.y - cy) / d : 0;
+    steerMob(m, clamp(m.x + ax * 160, m.r, WORLD.w - m.r), clamp(m.y + ay * 160, m.r, WORLD.h - m.r), speed, dt);
+  }
+
+  /** 大雨：回到窩（home）待著不出來 @param {Mob} m */
+  function shelterMob(m, dt) {
+    if (dist(m.x, m.y, m.homeX, m.homeY) > 8) steerMob(m, m.homeX, m.homeY, m.wander.speed, dt);
+  }
+
+  /** 盜賊被抓到：把偷走的錢還回來 @param {Mob} m */
+  function catchThief(m) {
+    const amount = m.carried;
+    m.carried = 0;
+    addCoins(amount);
+    setHintTemp(`抓到盜賊了！拿回 ${amount} 金幣`, 1.6);
+    setMobState(m, "recover");
+  }
+
+  /** @param {Mob} m @param {number} dt */
+  function updateThief(m, dt) {
+    const ai = mobAi(m);
+    const { cx, cy } = playerCenter();
+    const d = dist(cx, cy, m.x, m.y);
+    // 剛得手的那一下不算被抓到（還貼在玩家身上）
+    const grace = m.state === "flee" && m.stateTime < ai.fleeGrace;
+    if (m.carried > 0 && !grace && d <= ai.catchRange) {
+      catchThief(m);
+      return;
+    }
+    switch (m.state) {
+      case "patrol":
+        if (isHeavyRain()) {
+          shelterMob(m, dt);
+          break;
+        }
+        updateMobWander(dt, m);
+        if (m.carried === 0 && save.stats.coins > 0 && m.cooldown <= 0 && mobSeesPlayer(m)) setMobState(m, "notice");
+        break;
+      case "notice":
+        if (!mobSeesPlayer(m)) setMobState(m, "patrol");
+        else if (m.stateTime >= ai.notice) setMobState(m, "chase");
+        break;
+      case "chase":
+        if (save.stats.coins <= 0 || d > ai.lose || m.lostSight > MOB_LOSE_SIGHT_SECONDS) {
+          setMobState(m, "patrol");
+          break;
+        }
+        steerMob(m, cx, cy, ai.chaseSpeed, dt);
+        if (d <= ai.reach) {
+          const steal = Math.max(1, Math.min(save.stats.coins, Math.floor(rand(2, 7))));
+          takeCoins(steal);
+          m.carried += steal;
+          m.cooldown = rand(4, 6);
+          setHintTemp(`盜賊偷走了 ${steal} 金幣！快追上去拿回來`, 1.6);
+          setMobState(m, "flee");
+        }
+        break;
+      case "flee":
+        fleeFrom(m, cx, cy, ai.fleeSpeed, dt);
+        if (m.stateTime >= ai.fleeSeconds) setMobState(m, "patrol");
+        break;
+      default:
+        // recover：被抓到後愣在原地一下
+        if (m.stateTime >= ai.recover) setMobState(m, "patrol");
+    }
+  }
+
+  /** @param {Mob} m @param {number} dt */
+  function updateBrute(m, dt) {
+    const ai = MOB_AI.bruteCat;
+    const { cx, cy } = playerCenter();
+    const d = dist(cx, cy, m.x, m.y);
+    // 貓薄荷：不管在做什麼都改成躲開
+    if (catnipWard > 0 && m.state !== "flee" && d <= ai.fleeRange) setMobState(m, "flee");
+    switch (m.state) {
+      case "patrol":
+        if (isHeavyRain()) {
+          shelterMob(m, dt);
+          break;
+        }
+        updateMobWander(dt, m);
+        if (catnipWard <= 0 && mobSeesPlayer(m)) setMobState(m, "notice");
+        break;
+      case "notice":
+        if (!mobSeesPlayer(m)) setMobState(m, "patrol");
+        else if (m.stateTime >= ai.notice) setMobState(m, "chase");
+        break;
+      case "chase":
+        if (d > ai.lose || m.lostSight > MOB_LOSE_SIGHT_SECONDS) {
+          setMobState(m, "patrol");
+          break;
+        }
+        if (d <= ai.reach) setMobState(m, "windup");
+        else steerMob(m, cx, cy, ai.chaseSpeed, dt);
+        break;
+      case "windup":
+        if (m.stateTime < ai.windup) break;
+        if (d <= ai.hitRange && player.invuln <= 0) hurtPlayer(m);
+        setMobState(m, "recover");
+        break;
+      case "recover":
+        moveMob(m, m.x - cx, m.y - cy, ai.backoffSpeed, dt);
+        if (m.stateTime >= ai.recover) setMobState(m, mobSeesPlayer(m) ? "chase" : "patrol");
+        break;
+      case "flee":
+        fleeFrom(m, cx, cy, m.wander.speed, dt);
+        if (catnipWard <= 0 || d > ai.fleeRange * 1.5) setMobState(m, "patrol");
+        break;
+    }
+  }
+
+  function updateMobs(dt) {
+    catnipWard = Math.max(0, catnipWard - dt);
+    // 對話/介面中不追人也不出手（避免被偷被打）；已經在逃的照樣逃
+    const frozen = dialogue.active || isOverlayOpen();
+    const { cx, cy } = playerCenter();
+    for (const m of mobs) {
+      // 別張地圖上的怪物整個暫停（連復活倒數也停），回到那裡才繼續
+      if (!onCurrentMap(m)) continue;
+      if (m.respawn > 0) {
+        m.respawn = Math.max(0, m.respawn - dt);
+        if (m.respawn <= 0) respawnMob(m);
+        continue;
+      }
+      m.invuln = Math.max(0, m.invuln - dt);
+      m.cooldown = Math.max(0, m.cooldown - dt);
+      m.stateTime += dt;
+      // 被擊退時先不動作
+      if (m.kbx !== 0 || m.kby !== 0) {
+        applyKnockback(m, dt, m.r * 2, m.r * 2, m.r, m.r);
+        continue;
+      }
+      if (frozen) {
+        if (m.state === "notice" || m.state === "chase" || m.state === "windup") setMobState(m, "patrol");
+        if (m.state === "patrol") {
+          if (isHeavyRain()) shelterMob(m, dt);
+          else updateMobWander(dt, m);
+        } else if (m.state === "flee") fleeFrom(m, cx, cy, m.type === "thief" ? MOB_AI.thief.fleeSpeed : m.wander.speed, dt);
+        continue;
+      }
+      // 大雨時不找麻煩（正在逃的盜賊照樣逃）
+      if (isHeavyRain() && (m.state === "notice" || m.state === "chase" || m.state === "windup")) setMobState(m, "patrol");
+      if (m.state === "chase") m.lostSight = hasLineOfSight(m.x, m.y, cx, cy) ? 0 : m.lostSight + dt;
+      if (m.type === "thief") updateThief(m, dt);
+      else updateBrute(m, dt);
+    }
+  }
+
+  /** 除錯用：按 ` 顯示每隻 mob 的狀態、視野範圍和視線 */
+  function drawMobDebug() {
+    if (!mobDebug) return;
+    const { cx, cy } = playerCenter();
+    ctx.save();
+    ctx.translate(-camera.x, -camera.y);
+    ctx.font = "11px ui-monospace, SFMono-Regular, Menlo, monospace";
+    ctx.textAlign = "center";
+    ctx.lineWidth = 1;
+    for (const m of mobs) {
+      if (m.respawn > 0 || !onCurrentMap(m)) continue;
+      const ai = mobAi(m);
+      ctx.strokeStyle = "rgba(255,255,255,.25)";
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, ai.sight, 0, Math.PI * 2);
+      ctx.stroke();
+      if (dist(cx, cy, m.x, m.y) <= ai.lose) {
+        ctx.strokeStyle = hasLineOfSight(m.x, m.y, cx, cy) ? "rgba(166,255,203,.8)" : "rgba(255,107,136,.8)";
+        ctx.beginPath();
+        ctx.moveTo(m.x, m.y);
+        ctx.lineTo(cx, cy);
+        ctx.stroke();
+      }
+      if (m.state === "patrol") {
+        ctx.fillStyle = "rgba(124,226,255,.8)";
+        ctx.fillRect(m.tx - 3, m.ty - 3, 6, 6);
+      }
+      if (m.path && m.path.length > 0) {
+        ctx.strokeStyle = "rgba(124,226,255,.6)";
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(m.x, m.y);
+        for (const p of m.path) ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      const label = `${m.state} ${m.stateTime.toFixed(1)}s hp${m.hp}${m.carried ? ` $${m.carried}` : ""}`;
+      ctx.fillStyle = "rgba(10,14,28,.75)";
+      ctx.fillRect(m.x - 60, m.y + m.r + 8, 120, 16);
+      ctx.fillStyle = "rgba(255,255,255,.92)";
+      ctx.textBaseline = "middle";
+      ctx.fillText(label, m.x, m.y + m.r + 16);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 倒下與復活：HP 歸零後停下所有操作，只能選「回家休息」（扣一些錢幣）或讀最近的備份。
+   * 倒下的狀態就是 save.stats.hp <= 0，所以重新整理後打開同一個存檔也會回到這個畫面。
+   */
+  const HOME_POINT = { x: INITIAL_PLAYER.x, y: INITIAL_PLAYER.y };
+  const DOWNED_COIN_PENALTY = 0.2;
+  const RESPAWN_HP_RATIO = 0.5;
+  const RESPAWN_INVULN_SECONDS = 2;
+
+  /** HP 回復：平常慢慢回，在小雪旁邊站著不動休息會快很多；剛受傷的幾秒內不回 */
+  const REGEN = { seconds: 8, restSeconds: 0.6, restRadius: 96, hurtDelay: 6 };
+  let regenTimer = 0;
+  let regenDelay = 0;
+
+  function isDowned() {
+    return ui.downed.getAttribute("aria-hidden") === "false";
+  }
+
+  /** 最近一份還站著的備份（倒下後才拍的那幾份不算） */
+  function latestStandingBackup() {
+    return loadBackups(activeSlot).find((b) => Number(b.save?.stats?.hp) > 0) ?? null;
+  }
+
+  function downedPenalty() {
+    return Math.floor(save.stats.coins * DOWNED_COIN_PENALTY);
+  }
+
+  function enterDowned() {
+    if (!gameStarted || isDowned()) return;
+    if (dialogue.active) closeDialogue();
+    closeOverlays();
+    if (isConfirmOpen()) closeConfirm(false);
+    keys.clear();
+    hidePrompt();
+    player.swing = 0;
+
+    const penalty = downedPenalty();
+    const backup = latestStandingBackup();
+    ui.downedMessage.textContent =
+      `眼前一黑…\n` +
+      `回家休息：回到村口，HP 回復到一半，掉了 ${penalty} 金幣。\n` +
+      (backup ? `讀取備份：回到 ${formatDateTime(backup.time)}（${summarizeSave(normalizeSave(backup.save, activeSlot))}）。` : "這個存檔還沒有可以讀的備份。");
+    ui.downedRespawn.textContent = penalty > 0 ? `回家休息（-${penalty} 金幣）` : "回家休息";
+    ui.downedBackup.disabled = !backup;
+    setAriaHidden(ui.downed, false);
+    ui.downedRespawn.focus();
+    setHintTemp("你倒下了…", 2.0);
+  }
+
+  function closeDowned() {
+    setAriaHidden(ui.downed, true);
+  }
+
+  function respawnAtHome() {
+    if (!isDowned()) return;
+    const penalty = downedPenalty();
+    save.stats.coins -= penalty;
+    save.stats.hp = Math.max(1, Math.ceil(save.stats.maxHp * RESPAWN_HP_RATIO));
+    switchMap("village");
+    const p = rescueToWalkable(HOME_POINT.x, HOME_POINT.y, player.w, player.h) ?? HOME_POINT;
+    player.x = p.x;
+    player.y = p.y;
+    player.facing = "down";
+    player.kbx = 0;
+    player.kby = 0;
+    player.invuln = RESPAWN_INVULN_SECONDS;
+    regenDelay = 0;
+    closeDowned();
+    writeSave(save);
+    updateStatsBadges();
+    updateCamera();
+    setHintTemp(penalty > 0 ? `你在村口醒來，口袋裡少了 ${penalty} 金幣。` : "你在村口醒來，休息一下再出發吧。", 2.4);
+  }
+
+  function loadDownedBackup() {
+    if (!isDowned()) return;
+    const b = latestStandingBackup();
+    if (!b) return;
+    let restored;
+    try {
+      restored = normalizeSave(migrateSave(b.save), activeSlot);
+    } catch {
+      return;
+    }
+    closeDowned();
+    save = restored;
+    writeSave(save);
+    updateGiftBadge();
+    updateStatsBadges();
+    restoreRuntimeFromSave();
+    setHintTemp(`讀取了 ${formatDateTime(b.time)} 的備份`, 2.4);
+  }
+
+  /** @param {number} dt @param {boolean} moving */
+  function updateRegen(dt, moving) {
+    if (isDowned()) return;
+    regenDelay = Math.max(0, regenDelay - dt);
+    const { hp, maxHp } = save.stats;
+    if (hp >= maxHp || regenDelay > 0) {
+      regenTimer = 0;
       return;
     }
-    m.x = nx;
-    m.y = ny;
+    const shiro = npcs.find((n) => n.id === "npc-shiro");
+    const { cx, cy } = playerCenter();
+    const resting = !moving && !!shiro && onCurrentMap(shiro) && dist(cx, cy, shiro.x, shiro.y) <= REGEN.restRadius;
+    regenTimer += dt;
+    const every = resting ? REGEN.restSeconds : REGEN.seconds;
+    if (regenTimer < every) return;
+    regenTimer = 0;
+    heal(1);
+    if (resting) setHintTemp(`在${shiro.name}身邊休息…（HP ${save.stats.hp}/${maxHp}）`, 1.0);
+  }
+
+  /** 世界快照：存檔/讀檔時的玩家、NPC、mob 狀態 */
+  /** @returns {WorldSnapshot} */
+  function captureWorldState() {
+    /** @type {Record<string, NpcSnapshot>} */
+    const npcState = {};
+    for (const npc of npcs) {
+      const st = npcWander.get(npc.id);
+      npcState[npc.id] = {
+        x: Math.round(npc.x),
+        y: Math.round(npc.y),
+        homeX: Math.round(st ? st.homeX : npc.x),
+        homeY: Math.round(st ? st.homeY : npc.y),
+        map: npc.map,
+      };
+    }
+    /** @type {Record<string, MobSnapshot>} */
+    const mobState = {};
+    for (const m of mobs) {
+      mobState[m.id] = {
+        x: Math.round(m.x),
+        y: Math.round(m.y),
+        homeX: Math.round(m.homeX),
+        homeY: Math.round(m.homeY),
+        cooldown: Math.round(m.cooldown * 100) / 100,
+        hp: m.hp,
+        respawn: Math.round(m.respawn * 10) / 10,
+        carried: m.carried,
+      };
+    }
+    return {
+      scene: currentMap.data.id,
+      player: { x: Math.round(player.x), y: Math.round(player.y), facing: player.facing },
+      npcs: npcState,
+      mobs: mobState,
+      catnipWard: Math.round(catnipWard * 10) / 10,
+    };
+  }
+
+  /**
+   * 找最近的可走位置（以 WORLD.tile 為單位往外一圈一圈找）。
+   * x/y 是矩形左上角；原位置沒問題就原封不動回傳。
+   * @param {number} x @param {number} y @param {number} w @param {number} h
+   * @returns {{ x:number; y:number } | null}
+   */
+  function rescueToWalkable(x, y, w, h) {
+    const inWorld = (rx, ry) => rx >= 0 && ry >= 0 && rx + w <= WORLD.w && ry + h <= WORLD.h;
+    if (inWorld(x, y) && !collides({ x, y, w, h }, solids)) return { x, y };
+    const tile = WORLD.tile;
+    const cx = clamp(x + w / 2, 0, WORLD.w);
+    const cy = clamp(y + h / 2, 0, WORLD.h);
+    const col = Math.floor(cx / tile);
+    const row = Math.floor(cy / tile);
+    const maxRing = Math.ceil(Math.max(WORLD.w, WORLD.h) / tile);
+    for (let ring = 1; ring <= maxRing; ring++) {
+      let best = null;
+      let bestD = Infinity;
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          const rx = (col + dx) * tile + tile / 2 - w / 2;
+          const ry = (row + dy) * tile + tile / 2 - h / 2;
+          if (!inWorld(rx, ry) || collides({ x: rx, y: ry, w, h }, solids)) continue;
+          const d = dist(cx, cy, rx + w / 2, ry + h / 2);
+          if (d < bestD) {
+            best = { x: rx, y: ry };
+            bestD = d;
+          }
+        }
+      }
+      if (best) return best;
+    }
+    return null;
   }
 
-  function updateMobs(dt) {
-    for (const m of mobs) {
-      updateMobWander(dt, m);
-      m.cooldown = Math.max(0, m.cooldown - dt);
+  /** 圓形角色（NPC/mob）用中心點座標 @param {number} x @param {number} y @param {number} r */
+  function rescueCircleToWalkable(x, y, r) {
+    const p = rescueToWalkable(x - r, y - r, r * 2, r * 2);
+    return p ? { x: p.x + r, y: p.y + r } : null;
+  }
+
+  /**
+   * 套用世界快照（在 resetRuntimeState 之後呼叫）；快照裡沒有的角色維持出生點。
+   * 先換到存檔時的場景（不認得的地圖 id 就留在村莊）；碰撞只看得到目前場景，所以別張地圖上的角色照快照放
+   * @param {WorldSnapshot} world
+   */
+  function applyWorldState(world) {
+    switchMap(maps[world.scene] ? world.scene : "village");
+    const p = rescueToWalkable(world.player.x, world.player.y, player.w, player.h);
+    if (p) {
+      player.x = p.x;
+      player.y = p.y;
     }
+    player.facing = world.player.facing;
 
-    // 效果：對話/介面中先不觸發，避免被偷被打
-    if (dialogue.active || isOverlayOpen()) return;
-    const { cx, cy } = playerCenter();
+    for (const npc of npcs) {
+      const snap = world.npcs[npc.id];
+      const st = npcWander.get(npc.id);
+      if (!snap) continue;
+      if (typeof snap.map === "string" && maps[snap.map]) npc.map = snap.map;
+      const here = onCurrentMap(npc);
+      const pos = here ? rescueCircleToWalkable(snap.x, snap.y, npc.r) : { x: snap.x, y: snap.y };
+      const home = here ? rescueCircleToWalkable(snap.homeX, snap.homeY, npc.r) : { x: snap.homeX, y: snap.homeY };
+      if (pos) {
+        npc.x = pos.x;
+        npc.y = pos.y;
+      }
+      if (st && home) {
+        st.homeX = home.x;
+        st.homeY = home.y;
+        st.tx = npc.x;
+        st.ty = npc.y;
+        st.path = [];
+      }
+    }
 
     for (const m of mobs) {
-      const d = dist(cx, cy, m.x, m.y);
-      if (m.type === "thief") {
-        if (d <= 44 && m.cooldown <= 0 && save.stats.coins > 0) {
-          const steal = Math.max(1, Math.min(save.stats.coins, Math.floor(rand(2, 7))));
-          takeCoins(steal);
-          setHintTemp(`盜賊偷走了 ${steal} 金幣！`, 1.2);
-          m.cooldown = rand(1.0, 1.6);
-        }
-      } else {
-        if (d <= 48 && m.cooldown <= 0 && save.stats.hp > 0) {
-          const dmg = Math.floor(rand(4, 9));
-          takeDamage(dmg);
-          setHintTemp(`凶狠貓抓了你一下（-${dmg} HP）`, 1.2);
-          m.cooldown = rand(0.8, 1.3);
-          if (save.stats.hp <= 0) setHintTemp("你倒下了…按 Shift+R 重新開始", 2.0);
-        }
+      const snap = world.mobs[m.id];
+      if (!snap) continue;
+      const here = onCurrentMap(m);
+      const pos = here ? rescueCircleToWalkable(snap.x, snap.y, m.r) : { x: snap.x, y: snap.y };
+      const home = here ? rescueCircleToWalkable(snap.homeX, snap.homeY, m.r) : { x: snap.homeX, y: snap.homeY };
+      if (pos) {
+        m.x = pos.x;
+        m.y = pos.y;
       }
+      if (home) {
+        m.homeX = home.x;
+        m.homeY = home.y;
+      }
+      m.tx = m.x;
+      m.ty = m.y;
+      m.path = [];
+      m.cooldown = Number.isFinite(snap.cooldown) ? Math.max(0, snap.cooldown) : 0;
+      m.respawn = Number.isFinite(snap.respawn) ? clamp(snap.respawn, 0, COMBAT.respawnSeconds) : 0;
+      m.hp = m.respawn > 0 ? 0 : Number.isFinite(snap.hp) ? clamp(Math.floor(snap.hp), 1, m.maxHp) : m.maxHp;
+      m.carried = Number.isFinite(snap.carried) ? Math.max(0, Math.floor(snap.carried)) : 0;
     }
+    catnipWard = world.catnipWard ?? 0;
   }
 
   function drawMob(m) {
+    if (m.respawn > 0) return;
     ctx.save();
     ctx.translate(-camera.x, -camera.y);
+    // 無敵時間內閃爍
+    if (m.invuln > 0 && Math.floor(m.invuln * 20) % 2 === 0) ctx.globalAlpha = 0.45;
     // 影子
     ctx.fillStyle = "rgba(0,0,0,.22)";
     ctx.beginPath();
     ctx.ellipse(m.x, m.y + 14, m.r * 0.9, m.r * 0.55, 0, 0, Math.PI * 2);
     ctx.fill();
+    // 凶狠貓蓄力：越來越小的紅圈，縮到身體大小時出手
+    if (m.state === "windup") {
+      const t = clamp01(m.stateTime / MOB_AI.bruteCat.windup);
+      ctx.strokeStyle = `rgba(255,107,136,${0.4 + t * 0.5})`;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, m.r + (1 - t) * 26, 0, Math.PI * 2);
+      ctx.stroke();
+    }
     // 本體
     ctx.fillStyle = m.color;
     ctx.beginPath();
@@ -813,10 +4193,68 @@
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
     ctx.fillText(m.type === "thief" ? "$" : "!", m.x, m.y + 1);
+    // 頭上的反應：發現玩家時冒「!」，帶著偷來的錢時顯示數量
+    if (m.state === "notice") {
+      ctx.fillStyle = "rgba(255,211,107,.95)";
+      ctx.font = "bold 18px ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Arial";
+      ctx.fillText("!", m.x, m.y - m.r - 18);
+    } else if (m.carried > 0) {
+      ctx.fillStyle = "rgba(255,211,107,.95)";
+      ctx.font = "bold 12px ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Arial";
+      ctx.fillText(`💰${m.carried}`, m.x, m.y - m.r - 18);
+    }
+    // 受傷後才顯示血條
+    if (m.hp < m.maxHp) {
+      const w = m.r * 2;
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = "rgba(10,14,28,.7)";
+      ctx.fillRect(m.x - w / 2, m.y - m.r - 10, w, 4);
+      ctx.fillStyle = "rgba(255,107,136,.95)";
+      ctx.fillRect(m.x - w / 2, m.y - m.r - 10, (w * m.hp) / m.maxHp, 4);
+    }
+    ctx.restore();
+  }
+
+  function drawCoinDrops() {
+    if (coinDrops.length === 0) return;
+    ctx.save();
+    ctx.translate(-camera.x, -camera.y);
+    const t = performance.now() / 1000;
+    for (const c of coinDrops) {
+      if (!onCurrentMap(c)) continue;
+      // 快消失時閃一閃
+      ctx.globalAlpha = c.ttl < 5 && Math.floor(t * 6) % 2 === 0 ? 0.4 : 1;
+      const bob = Math.sin(t * 4 + c.x) * 2;
+      ctx.fillStyle = "rgba(255,211,107,.95)";
+      ctx.beginPath();
+      ctx.arc(c.x, c.y + bob, 7, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = "rgba(160,110,30,.9)";
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /** 揮爪的弧線（只在揮動的那一瞬間畫） */
+  function drawSwing() {
+    if (player.swing <= 0) return;
+    const { cx, cy } = playerCenter();
+    const base = { up: -Math.PI / 2, down: Math.PI / 2, left: Math.PI, right: 0 }[player.facing];
+    const progress = 1 - player.swing / COMBAT.swingSeconds;
+    ctx.save();
+    ctx.translate(-camera.x, -camera.y);
+    ctx.strokeStyle = `rgba(255,255,255,${0.85 * (1 - progress * 0.6)})`;
+    ctx.lineWidth = 4;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.arc(cx, cy, 30 + progress * 8, base - 0.9, base - 0.9 + 1.8 * Math.min(1, progress * 1.6));
+    ctx.stroke();
     ctx.restore();
   }
 
   function drawShop() {
+    if (!onCurrentMap(SHOP)) return;
     ctx.save();
     ctx.translate(-camera.x, -camera.y);
     // 地墊
@@ -830,6 +4268,50 @@
     ctx.restore();
   }
 
+  function drawCraftBench() {
+    if (!onCurrentMap(CRAFT_BENCH)) return;
+    const { x, y } = CRAFT_BENCH;
+    ctx.save();
+    ctx.translate(-camera.x, -camera.y);
+    // 桌面 + 桌腳
+    ctx.fillStyle = "rgba(110,75,45,.95)";
+    ctx.fillRect(x - 26, y + 2, 6, 14);
+    ctx.fillRect(x + 20, y + 2, 6, 14);
+    ctx.fillStyle = "rgba(202,163,107,.95)";
+    roundRectFill(ctx, x - 32, y - 12, 64, 16, 5);
+    ctx.strokeStyle = "rgba(109,75,47,.9)";
+    ctx.lineWidth = 2;
+    roundRectStroke(ctx, x - 32, y - 12, 64, 16, 5);
+    // 桌上的毛線球
+    ctx.fillStyle = "rgba(255,176,87,.95)";
+    ctx.beginPath();
+    ctx.arc(x + 10, y - 16, 6, 0, Math.PI * 2);
+    ctx.fill();
+    drawNameTag(x, y - 38, "工作台");
+    ctx.restore();
+  }
+
+  /** 進行中的「抵達地點」目標：在地上標出範圍 */
+  function drawQuestMarkers() {
+    const t = performance.now() / 1000;
+    ctx.save();
+    ctx.translate(-camera.x, -camera.y);
+    for (const q of QUESTS) {
+      const o = currentQuestStep(q)?.objective;
+      if (!o || o.type !== "reach" || !onCurrentMap({ map: o.map ?? "village" })) continue;
+      const a = o.area;
+      ctx.fillStyle = `rgba(255,211,107,${0.1 + 0.06 * Math.sin(t * 3)})`;
+      roundRectFill(ctx, a.x, a.y, a.w, a.h, 14);
+      ctx.setLineDash([8, 6]);
+      ctx.strokeStyle = "rgba(255,211,107,.55)";
+      ctx.lineWidth = 2;
+      roundRectStroke(ctx, a.x, a.y, a.w, a.h, 14);
+      ctx.setLineDash([]);
+      drawNameTag(a.x + a.w / 2, a.y - 12, `任務：${o.place}`);
+    }
+    ctx.restore();
+  }
+
   /** NPC 圖示（sprite） */
   /** @type {Map<string, HTMLImageElement>} */
   const spriteCache = new Map();
@@ -863,53 +4345,535 @@
   getSprite(PLAYER_SPRITE_RIGHT_SRC);
   getSprite(PLAYER_SPRITE_LEFT_SRC);
 
-  /** 對話系統 */
+  /**
+   * 對話系統：對話是一張圖（節點 + 選項 + 下一個節點）。
+   * 舊的 string[] 會自動轉成一條直線的圖，所以 npc.dialogue 兩種寫法都可以。
+   * 節點、選項、單句都可以帶 when 條件（全部成立才出現）；next/start 也可以是
+   * 依條件分岔的清單，取第一個成立的。
+   */
+  /** @typedef {"morning"|"noon"|"evening"|"night"} TimeOfDay */
+  /**
+   * @typedef {{ type: "flag"; key: string; equals?: FlagValue }
+   *   | { type: "coins"; atLeast?: number; below?: number }
+   *   | { type: "hp"; belowRatio: number }
+   *   | { type: "item"; id: string }
+   *   | { type: "visits"; atLeast?: number; below?: number }
+   *   | { type: "timeOfDay"; is: TimeOfDay[] }
+   *   | { type: "day"; atLeast?: number; below?: number }
+   *   | { type: "weather"; is: WeatherKind[]; heavy?: boolean }
+   *   | { type: "giftGiven" }
+   *   | { type: "quest"; id: string; state?: QuestState; step?: number }
+   *   | { type: "not"; cond: DialogueCondition }
+   *   | { type: "any"; conds: DialogueCondition[] }} DialogueCondition
+   */
+  /** once：旗標 key，給過一次就記下來，之後再走到同一個節點不會再給（避免重複刷錢 / 刷道具） */
+  /** @typedef {{ type: "flag"; key: string; value?: FlagValue } | { type: "coins"; amount: number; once?: string } | { type: "heal"; amount: number } | { type: "item"; id: string; once?: string } | { type: "quest"; id: string }} DialogueEffect */
+  /** @typedef {{ to: string | null; when?: DialogueCondition[] }} DialogueBranch */
+  /** @typedef {string | null | DialogueBranch[]} DialogueNext */
+  /** @typedef {{ text: string; next?: DialogueNext; when?: DialogueCondition[]; effects?: DialogueEffect[] }} DialogueChoice */
+  /** @typedef {{ speaker?: string; text: string; next?: DialogueNext; when?: DialogueCondition[]; choices?: DialogueChoice[]; effects?: DialogueEffect[] }} DialogueNode */
+  /** @typedef {{ start: DialogueNext; nodes: Record<string, DialogueNode> }} DialogueGraph */
+  /** @typedef {string | { text: string; when?: DialogueCondition[] }} DialogueLine */
+
+  /** 節點 speaker 寫這個名字時，代表玩家自己說話（頭像用玩家圖） */
+  const PLAYER_SPEAKER = "你";
+
   const dialogue = {
     active: false,
     npcId: /** @type {string|null} */ (null),
-    lineIndex: 0,
-    lines: /** @type {string[]} */ ([]),
     npcName: "",
+    graph: /** @type {DialogueGraph | null} */ (null),
+    nodeId: "",
+    choiceIndex: 0,
     onFinish: /** @type {null | (() => void)} */ (null),
   };
 
-  function openDialogue(npc, lines, onFinish) {
+  /** @param {DialogueLine[]} lines @returns {DialogueGraph} */
+  function linearDialogue(lines) {
+    /** @type {Record<string, DialogueNode>} */
+    const nodes = {};
+    lines.forEach((line, i) => {
+      const next = i + 1 < lines.length ? `line-${i + 1}` : null;
+      nodes[`line-${i}`] = typeof line === "string" ? { text: line, next } : { text: line.text, when: line.when, next };
+    });
+    return { start: lines.length > 0 ? "line-0" : null, nodes };
+  }
+
+  /** 白天/晚上（看遊戲內時鐘） @returns {TimeOfDay} */
+  function currentTimeOfDay() {
+    const h = clockHour();
+    if (h >= 5 && h < 11) return "morning";
+    if (h >= 11 && h < 17) return "noon";
+    if (h >= 17 && h < 20) return "evening";
+    return "night";
+  }
+
+  /** @param {string} npcId */
+  function visitFlagKey(npcId) {
+    return `visits.${npcId}`;
+  }
+
+  /** @param {string} npcId */
+  function npcVisits(npcId) {
+    const v = getFlag(visitFlagKey(npcId));
+    return typeof v === "number" ? v : 0;
+  }
+
+  /** @param {DialogueCondition} cond @returns {boolean} */
+  function conditionMet(cond) {
+    const npcId = dialogue.npcId ?? "";
+    switch (cond.type) {
+      case "flag": {
+        const v = getFlag(cond.key);
+        return cond.equals === undefined ? !!v : v === cond.equals;
+      }
+      case "coins":
+        return (cond.atLeast == null || save.stats.coins >= cond.atLeast) && (cond.below == null || save.stats.coins < cond.below);
+      case "hp":
+        return save.stats.hp < save.stats.maxHp * cond.belowRatio;
+      case "item":
+        return countItems(cond.id) > 0;
+      case "visits": {
+        const n = npcVisits(npcId);
+        return (cond.atLeast == null || n >= cond.atLeast) && (cond.below == null || n < cond.below);
+      }
+      case "timeOfDay":
+        return cond.is.includes(currentTimeOfDay());
+      case "day": {
+        const d = currentDay();
+        return (cond.atLeast == null || d >= cond.atLeast) && (cond.below == null || d < cond.below);
+      }
+      case "weather":
+        return cond.is.includes(save.weather.kind) && (cond.heavy == null || cond.heavy === isHeavyRain());
+      case "giftGiven":
+        return !!save.givenNpcIds[npcId];
+      case "quest": {
+        // 指定 step 時只在「進行中且剛好在這一步」成立
+        const st = questState(cond.id);
+        if (cond.step != null) return st === "active" && save.quests[cond.id]?.step === cond.step;
+        return st === (cond.state ?? "active");
+      }
+      case "not":
+        return !conditionMet(cond.cond);
+      case "any":
+        return cond.conds.some(conditionMet);
+      default:
+        return false;
+    }
+  }
+
+  /** @param {DialogueCondition[] | undefined} when */
+  function conditionsMet(when) {
+    return !when || when.every(conditionMet);
+  }
+
+  /** @param {DialogueNext | undefined} next @returns {string | null} */
+  function resolveDialogueNext(next) {
+    if (next == null) return null;
+    if (typeof next === "string") return next;
+    for (const b of next) if (conditionsMet(b.when)) return b.to;
+    return null;
+  }
+
+  /** @param {DialogueNode} node */
+  function visibleChoices(node) {
+    return (node.choices ?? []).filter((c) => conditionsMet(c.when));
+  }
+
+  /** @param {DialogueLine[] | DialogueGraph} d @returns {DialogueGraph} */
+  function toDialogueGraph(d) {
+    return Array.isArray(d) ? linearDialogue(d) : d;
+  }
+
+  /** 接在別的圖後面時，節點 id 加前綴避免撞名 @param {DialogueNext | undefined} next @param {string} prefix @returns {DialogueNext} */
+  function prefixDialogueNext(next, prefix) {
+    if (next == null) return null;
+    if (typeof next === "string") return prefix + next;
+    return next.map((b) => ({ ...b, to: b.to == null ? null : prefix + b.to }));
+  }
+
+  /**
+   * 在對話的每個結尾後面接上一段（例如收禮提示、任務委託），回傳新的圖（不改原本的資料）。
+   * @param {DialogueGraph} graph @param {DialogueLine[] | DialogueGraph} tail
+   */
+  function appendDialogueOutro(graph, tail) {
+    const outro = toDialogueGraph(tail);
+    if (Object.keys(outro.nodes).length === 0) return graph;
+    // 同一張圖可能接過好幾次，前綴要跟現有節點錯開
+    let prefix = "outro-";
+    while (Object.keys(graph.nodes).some((id) => id.startsWith(prefix))) prefix = `outro-${prefix}`;
+    const outroStart = prefixDialogueNext(outro.start, prefix);
+    /** outro 本身也可能從分岔開始：條件合併進去 @param {DialogueCondition[] | undefined} when @returns {DialogueBranch[]} */
+    const outroBranches = (when) => {
+      if (outroStart == null || typeof outroStart === "string") return [{ to: outroStart, when }];
+      return outroStart.map((o) => ({ to: o.to, when: [...(when ?? []), ...(o.when ?? [])] }));
+    };
+    /** @param {DialogueNext | undefined} next @returns {DialogueNext} */
+    const redirect = (next) => {
+      if (next == null) return outroStart;
+      if (typeof next === "string") return next;
+      // 分岔：結尾的分支改接 outro；都不成立時也接 outro
+      return next.flatMap((b) => (b.to == null ? outroBranches(b.when) : [b])).concat(outroBranches(undefined));
+    };
+    /** @type {Record<string, DialogueNode>} */
+    const nodes = {};
+    for (const [id, node] of Object.entries(graph.nodes)) {
+      const copy = { ...node };
+      if (copy.choices?.length) copy.choices = copy.choices.map((c) => ({ ...c, next: redirect(c.next) }));
+      // 有選項的節點也改：選項全被條件藏起來、或整個節點被跳過時會走 next
+      copy.next = redirect(copy.next);
+      nodes[id] = copy;
+    }
+    for (const [id, node] of Object.entries(outro.nodes)) {
+      const copy = { ...node, next: prefixDialogueNext(node.next, prefix) };
+      if (copy.choices?.length) copy.choices = copy.choices.map((c) => ({ ...c, next: prefixDialogueNext(c.next, prefix) }));
+      nodes[prefix + id] = copy;
+    }
+    return { start: graph.start == null ? outroStart : redirect(graph.start), nodes };
+  }
+
+  /** 對話選項/節點的效果，全部經過存檔 @param {DialogueEffect[] | undefined} effects */
+  function applyDialogueEffects(effects) {
+    if (!effects) return;
+    for (const fx of effects) {
+      if ((fx.type === "coins" || fx.type === "item") && fx.once) {
+        if (getFlag(fx.once)) continue;
+        setFlag(fx.once, true);
+      }
+      if (fx.type === "flag") setFlag(fx.key, fx.value ?? true);
+      else if (fx.type === "coins") {
+        if (fx.amount >= 0) addCoins(fx.amount);
+        else takeCoins(-fx.amount);
+      } else if (fx.type === "heal") heal(fx.amount);
+      else if (fx.type === "item") addItem(fx.id, dialogue.npcName);
+      else if (fx.type === "quest") startQuest(fx.id);
+    }
+  }
+
+  function currentDialogueNode() {
+    return dialogue.graph?.nodes[dialogue.nodeId] ?? null;
+  }
+
+  /**
+   * 對話文字標記（全部用 DOM 節點 + textContent 畫，不經過 innerHTML）：
+   * [b]強調[/b]、[c=pink]顏色[/c]（名稱或 #hex）、[shake]抖動[/shake]、[p=0.5] 停頓秒數。
+   * 不認得的標記原樣顯示。
+   */
+  /** @typedef {{ bold: boolean; color: string; shake: boolean }} TextStyle */
+  /** @typedef {{ type: "text"; text: string; style: TextStyle } | { type: "pause"; seconds: number }} TextToken */
+  const MARKUP_COLORS = {
+    accent: "var(--accent)",
+    green: "var(--accent2)",
+    pink: "var(--danger)",
+    gold: "#ffd36b",
+    muted: "var(--muted)",
+  };
+
+  /** @param {string} value @returns {string|null} */
+  function markupColor(value) {
+    if (Object.prototype.hasOwnProperty.call(MARKUP_COLORS, value)) return MARKUP_COLORS[value];
+    return /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? value : null;
+  }
+
+  /** @param {string} src @returns {TextToken[]} */
+  function parseMarkup(src) {
+    /** @type {TextToken[]} */
+    const tokens = [];
+    /** @type {TextStyle} */
+    let style = { bold: false, color: "", shake: false };
+    /** @type {TextStyle[]} */
+    const colorStack = [];
+    const pushText = (text) => {
+      if (!text) return;
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === "text" && last.style === style) last.text += text;
+      else tokens.push({ type: "text", text, style });
+    };
+    const re = /\[(\/?)(b|c|color|shake|p|pause)(?:=([^\]]*))?\]/g;
+    let at = 0;
+    for (let m = re.exec(src); m; m = re.exec(src)) {
+      const [raw, closing, tag, value = ""] = m;
+      pushText(src.slice(at, m.index));
+      at = m.index + raw.length;
+      if (tag === "p" || tag === "pause") {
+        const seconds = Number(value);
+        if (closing || !Number.isFinite(seconds) || seconds <= 0) pushText(raw);
+        else tokens.push({ type: "pause", seconds: Math.min(seconds, 3) });
+      } else if (tag === "b") {
+        style = { ...style, bold: !closing };
+      } else if (tag === "shake") {
+        style = { ...style, shake: !closing };
+      } else if (closing) {
+        style = { ...style, color: colorStack.pop()?.color ?? "" };
+      } else {
+        const color = markupColor(value.trim());
+        if (!color) {
+          pushText(raw);
+          continue;
+        }
+        colorStack.push(style);
+        style = { ...style, color };
+      }
+    }
+    pushText(src.slice(at));
+    return tokens;
+  }
+
+  /** @param {string} src */
+  function stripMarkup(src) {
+    return parseMarkup(src)
+      .map((t) => (t.type === "text" ? t.text : ""))
+      .join("");
+  }
+
+  /** 打字機速度（字/秒）；Infinity = 直接顯示整句 */
+  const TEXT_SPEEDS = { slow: 18, normal: 40, fast: 90, instant: Infinity };
+  /** @type {keyof typeof TEXT_SPEEDS} */
+  let textSpeed = "normal";
+
+  /** @param {string} value */
+  function setTextSpeed(value) {
+    if (!Object.prototype.hasOwnProperty.call(TEXT_SPEEDS, value)) return;
+    textSpeed = /** @type {keyof typeof TEXT_SPEEDS} */ (value);
+    ui.textSpeed.value = value;
+    storage?.set(TEXT_SPEED_KEY, value);
+  }
+
+  const typewriter = {
+    /** @type {TextToken[]} */
+    tokens: [],
+    /** 每個 text token 對應一個 span（pause 為 null） @type {Array<HTMLSpanElement|null>} */
+    spans: [],
+    elapsed: 0,
+    done: true,
+  };
+
+  /** @param {string} text */
+  function startTypewriter(text) {
+    typewriter.tokens = parseMarkup(text);
+    typewriter.elapsed = 0;
+    typewriter.done = false;
+    ui.dialogueText.textContent = "";
+    typewriter.spans = typewriter.tokens.map((t) => {
+      if (t.type !== "text") return null;
+      const span = document.createElement("span");
+      if (t.style.bold) span.classList.add("dialogue__em");
+      if (t.style.shake) span.classList.add("dialogue__shake");
+      if (t.style.color) span.style.color = t.style.color;
+      ui.dialogueText.appendChild(span);
+      return span;
+    });
+    tickTypewriter(0);
+  }
+
+  /** @param {number} dt */
+  function tickTypewriter(dt) {
+    if (typewriter.done) return;
+    typewriter.elapsed += dt;
+    const perChar = 1 / TEXT_SPEEDS[textSpeed];
+    let budget = typewriter.elapsed;
+    let finished = true;
+    typewriter.tokens.forEach((t, i) => {
+      const span = typewriter.spans[i];
+      if (t.type === "pause") {
+        if (finished && perChar > 0) {
+          if (budget < t.seconds) finished = false;
+          budget -= t.seconds;
+        }
+        return;
+      }
+      if (!span) return;
+      // 用 Array.from 逐「字」切，避免切到 emoji 的一半
+      const chars = Array.from(t.text);
+      let n = 0;
+      if (finished) {
+        n = perChar > 0 ? Math.min(chars.length, Math.floor(budget / perChar)) : chars.length;
+        budget -= n * perChar;
+        if (n < chars.length) finished = false;
+      }
+      const shown = chars.slice(0, n).join("");
+      if (span.textContent !== shown) span.textContent = shown;
+    });
+    if (finished) finishTypewriter();
+  }
+
+  function finishTypewriter() {
+    typewriter.tokens.forEach((t, i) => {
+      const span = typewriter.spans[i];
+      if (t.type === "text" && span) span.textContent = t.text;
+    });
+    if (typewriter.done) return;
+    typewriter.done = true;
+    renderDialogueChoices();
+  }
+
+  /** 對話紀錄（只留在這次遊玩中） */
+  /** @typedef {{ speaker: string; text: string; choice: boolean }} HistoryEntry */
+  const DIALOGUE_HISTORY_LIMIT = 120;
+  /** @type {HistoryEntry[]} */
+  const dialogueHistory = [];
+
+  /** @param {HistoryEntry} entry */
+  function pushDialogueHistory(entry) {
+    dialogueHistory.push(entry);
+    if (dialogueHistory.length > DIALOGUE_HISTORY_LIMIT) dialogueHistory.shift();
+    if (isHistoryOpen()) renderDialogueHistory();
+  }
+
+  function renderDialogueHistory() {
+    ui.historyList.innerHTML = "";
+    if (dialogueHistory.length === 0) {
+      const li = document.createElement("li");
+      li.className = "inventory__itemDesc";
+      li.textContent = "還沒有對話紀錄。";
+      ui.historyList.appendChild(li);
+      return;
+    }
+    for (const h of dialogueHistory) {
+      const li = document.createElement("li");
+      li.className = h.choice ? "history__entry history__entry--choice" : "history__entry";
+      const name = document.createElement("span");
+      name.className = "history__speaker";
+      name.textContent = h.choice ? "你的選擇" : h.speaker;
+      const text = document.createElement("span");
+      text.textContent = h.text;
+      li.appendChild(name);
+      li.appendChild(text);
+      ui.historyList.appendChild(li);
+    }
+  }
+
+  /** @param {DialogueNode} node */
+  function dialoguePortraitSrc(node) {
+    if (node.speaker === PLAYER_SPEAKER) return getPlayerSpriteSrc();
+    if (node.speaker) return "";
+    return getNpcById(dialogue.npcId)?.spriteSrc ?? "";
+  }
+
+  function renderDialogueChoices() {
+    const node = currentDialogueNode();
+    ui.dialogueChoices.innerHTML = "";
+    const choices = node && typewriter.done ? visibleChoices(node) : [];
+    choices.forEach((c, i) => {
+      const li = document.createElement("li");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "dialogue__choice";
+      btn.dataset.choiceIndex = String(i);
+      btn.setAttribute("aria-selected", i === dialogue.choiceIndex ? "true" : "false");
+      btn.textContent = stripMarkup(c.text);
+      li.appendChild(btn);
+      ui.dialogueChoices.appendChild(li);
+    });
+    ui.dialogueChoices.hidden = choices.length === 0;
+    if (!typewriter.done) ui.dialogueHint.textContent = "空白鍵 / Enter：顯示整句　L：對話紀錄　Esc：關閉";
+    else if (choices.length > 0) ui.dialogueHint.textContent = "↑↓：選擇　空白鍵 / Enter：決定　L：對話紀錄　Esc：關閉";
+    else ui.dialogueHint.textContent = "空白鍵 / Enter：下一句　L：對話紀錄　Esc：關閉";
+  }
+
+  function renderDialogueNode() {
+    const node = currentDialogueNode();
+    if (!node) return;
+    const speaker = node.speaker ?? dialogue.npcName;
+    ui.dialogueName.textContent = speaker;
+    const portrait = dialoguePortraitSrc(node);
+    ui.dialoguePortrait.hidden = !portrait;
+    if (portrait && ui.dialoguePortrait.getAttribute("src") !== portrait) ui.dialoguePortrait.setAttribute("src", portrait);
+    ui.dialoguePortrait.alt = portrait ? speaker : "";
+    pushDialogueHistory({ speaker, text: stripMarkup(node.text), choice: false });
+    startTypewriter(node.text);
+    renderDialogueChoices();
+  }
+
+  /** @param {DialogueNext | undefined} next */
+  function enterDialogueNode(next) {
+    let id = resolveDialogueNext(next);
+    let node = id && dialogue.graph ? dialogue.graph.nodes[id] : null;
+    // 條件不成立的節點直接跳過（上限避免資料寫成環）
+    for (let guard = 0; node && !conditionsMet(node.when) && guard < 100; guard++) {
+      id = resolveDialogueNext(node.next);
+      node = id && dialogue.graph ? dialogue.graph.nodes[id] : null;
+    }
+    if (!node || !id || !conditionsMet(node.when)) {
+      closeDialogue();
+      return;
+    }
+    dialogue.nodeId = id;
+    dialogue.choiceIndex = 0;
+    applyDialogueEffects(node.effects);
+    // 效果可能關掉了對話（例如未來的場景切換），那就不用再畫
+    if (dialogue.active) renderDialogueNode();
+  }
+
+  /** @param {{ id: string; name: string }} npc @param {DialogueLine[] | DialogueGraph} content @param {null | (() => void)} onFinish */
+  function openDialogue(npc, content, onFinish) {
     dialogue.active = true;
     dialogue.npcId = npc.id;
-    dialogue.lineIndex = 0;
-    dialogue.lines = lines;
+    // 拜訪次數：這次也算，所以第一次聊天時 visits = 1
+    setFlag(visitFlagKey(npc.id), npcVisits(npc.id) + 1);
     dialogue.npcName = npc.name;
+    dialogue.graph = toDialogueGraph(content);
     dialogue.onFinish = onFinish;
 
-    ui.dialogueName.textContent = npc.name;
-    ui.dialogueText.textContent = lines[0] ?? "";
     setAriaHidden(ui.dialogue, false);
     ui.badgeHint.textContent = "提示：對話中（空白鍵 / Enter 下一句，Esc 關閉）";
+    enterDialogueNode(dialogue.graph.start);
   }
 
   function closeDialogue() {
+    const talkedTo = dialogue.active ? dialogue.npcId : null;
     dialogue.active = false;
     dialogue.npcId = null;
-    dialogue.lineIndex = 0;
-    dialogue.lines = [];
     dialogue.npcName = "";
+    dialogue.graph = null;
+    dialogue.nodeId = "";
+    dialogue.choiceIndex = 0;
     const finish = dialogue.onFinish;
     dialogue.onFinish = null;
 
+    ui.dialogueChoices.innerHTML = "";
+    typewriter.tokens = [];
+    typewriter.spans = [];
+    typewriter.done = true;
     setAriaHidden(ui.dialogue, true);
-    ui.badgeHint.textContent = DEFAULT_HINT;
+    // 對話中跳出的事件提示（例如任務更新）還沒到時間就繼續顯示
+    ui.badgeHint.textContent = hintOverrideUntil > performance.now() ? hintOverrideText : DEFAULT_HINT;
+    if (talkedTo) notifyQuestTalk(talkedTo);
     if (finish) finish();
   }
 
+  /** @param {number} delta */
+  function moveDialogueChoice(delta) {
+    const node = currentDialogueNode();
+    const n = node ? visibleChoices(node).length : 0;
+    if (n === 0) return;
+    dialogue.choiceIndex = (dialogue.choiceIndex + delta + n) % n;
+    renderDialogueChoices();
+  }
+
+  /** @param {number} index */
+  function chooseDialogueOption(index) {
+    const node = currentDialogueNode();
+    const choice = node && typewriter.done ? visibleChoices(node)[index] : undefined;
+    if (!choice) return;
+    pushDialogueHistory({ speaker: PLAYER_SPEAKER, text: stripMarkup(choice.text), choice: true });
+    applyDialogueEffects(choice.effects);
+    if (dialogue.active) enterDialogueNode(choice.next);
+  }
+
   function advanceDialogue() {
     if (!dialogue.active) return;
-    const next = dialogue.lineIndex + 1;
-    if (next >= dialogue.lines.length) {
-      closeDialogue();
+    // 第一下：把這句話打完；第二下才往下走
+    if (!typewriter.done) {
+      finishTypewriter();
+      return;
+    }
+    const node = currentDialogueNode();
+    if (node && visibleChoices(node).length > 0) {
+      chooseDialogueOption(dialogue.choiceIndex);
       return;
     }
-    dialogue.lineIndex = next;
-    ui.dialogueText.textContent = dialogue.lines[next];
+    enterDialogueNode(node?.next);
   }
 
   /** 互動判定：玩家與 NPC 距離 */
@@ -919,63 +4883,344 @@
     return Math.hypot(dx, dy);
   }
 
-  function playerCenter() {
-    return { cx: player.x + player.w / 2, cy: player.y + player.h / 2 };
+  function playerCenter() {
+    return { cx: player.x + player.w / 2, cy: player.y + player.h / 2 };
+  }
+
+  function getNearestNpcWithin(range) {
+    const { cx, cy } = playerCenter();
+    let best = /** @type {Npc|null} */ (null);
+    let bestD = Infinity;
+    for (const npc of npcs) {
+      if (!onCurrentMap(npc)) continue;
+      const d = dist(cx, cy, npc.x, npc.y);
+      if (d <= range && d < bestD) {
+        best = npc;
+        bestD = d;
+      }
+    }
+    return best;
+  }
+
+  const SHOP = (() => {
+    const { map, o } = requireMapObject("shop", "shop");
+    return { map, x: o.x, y: o.y, r: o.r ?? 34 };
+  })();
+
+  function getShopWithin(range) {
+    if (!onCurrentMap(SHOP)) return null;
+    const { cx, cy } = playerCenter();
+    const d = dist(cx, cy, SHOP.x, SHOP.y);
+    return d <= range ? d : null;
+  }
+
+  /** 虎斑師傅的工作台（合成） */
+  const CRAFT_BENCH = (() => {
+    const { map, o } = requireMapObject("bench", "craft-bench");
+    return { map, x: o.x, y: o.y, r: o.r ?? 30 };
+  })();
+
+  function getCraftBenchWithin(range) {
+    if (!onCurrentMap(CRAFT_BENCH)) return null;
+    const { cx, cy } = playerCenter();
+    const d = dist(cx, cy, CRAFT_BENCH.x, CRAFT_BENCH.y);
+    return d <= range ? d : null;
+  }
+
+  function getNearestInteractable(range) {
+    const npc = getNearestNpcWithin(range);
+    const { cx, cy } = playerCenter();
+    const shopD = getShopWithin(range);
+    const benchD = getCraftBenchWithin(range);
+    let npcD = null;
+    if (npc) npcD = dist(cx, cy, npc.x, npc.y);
+
+    if (shopD != null && (npcD == null || shopD < npcD) && (benchD == null || shopD < benchD)) return { kind: "shop", shopD };
+    if (benchD != null && (npcD == null || benchD < npcD)) return { kind: "bench", benchD };
+    if (npc && npcD != null) return { kind: "npc", npc, npcD };
+    return null;
+  }
+
+  /** 跟身邊的東西互動（空白鍵，或點地圖走過去後自動觸發） @param {NonNullable<ReturnType<typeof getNearestInteractable>>} it */
+  function interactWith(it) {
+    if (it.kind === "shop") {
+      openShop();
+      return;
+    }
+    if (it.kind === "bench") {
+      openCraft();
+      return;
+    }
+    const npc = it.npc;
+    // 照作息在做事的話，先說一句現在在幹嘛
+    const line = npcWander.get(npc.id)?.entry?.line;
+    const talk = line && npcActivity(npc) ? appendDialogueOutro(toDialogueGraph([{ text: line }]), toDialogueGraph(npc.dialogue)) : toDialogueGraph(npc.dialogue);
+    if (!npc.gift) {
+      openDialogue(npc, appendDialogueOutro(talk, questOfferDialogue(npc.id)));
+      return;
+    }
+    const already = !!save.givenNpcIds[npc.id];
+    openDialogue(
+      npc,
+      appendDialogueOutro(appendDialogueOutro(talk, GIFT_OUTRO_LINES), questOfferDialogue(npc.id)),
+      () => {
+        if (!already) giveGiftFromNpc(npc);
+      }
+    );
+  }
+
+  /** 每段 NPC 對話最後接的收禮提示 @type {DialogueLine[]} */
+  const GIFT_OUTRO_LINES = [
+    { text: "（你已經拿過禮物了，記得去背包看看。）", when: [{ type: "giftGiven" }] },
+    { text: "（你感覺牠把小禮物交到你手上。）", when: [{ type: "not", cond: { type: "giftGiven" } }] },
+  ];
+
+  function giveGiftFromNpc(npc) {
+    if (!npc.gift || save.givenNpcIds[npc.id]) return;
+    save.givenNpcIds[npc.id] = true;
+    addItem(npc.gift, npc.name);
+    // 收禮順便給點錢 + 小回血（讓數值系統有感）
+    addCoins(10);
+    heal(5);
+  }
+
+  /**
+   * 任務：多步驟目標，依序完成（跟某隻貓說話、帶東西給牠、存到多少錢、走到某個地方）。
+   * 狀態：locked（條件不足）→ available（可以接）→ active → completed；
+   * 存檔只記 active/completed 與目前步驟，其餘從定義算出來。
+   */
+  /** @typedef {"locked" | "available" | "active" | "completed"} QuestState */
+  /**
+   * bring 的 item 是道具表的 id；reach 的 map 是地圖 id（省略＝村莊）。
+   * @typedef {{ type: "talk"; npcId: string }
+   *   | { type: "bring"; npcId: string; item: string; count?: number }
+   *   | { type: "coins"; atLeast: number }
+   *   | { type: "reach"; area: Rect; place: string; map?: string }} QuestObjective
+   */
+  /** @typedef {{ text: string; objective: QuestObjective }} QuestStep */
+  /** item：道具表的 id @typedef {{ coins?: number; item?: string; flag?: string }} QuestReward */
+  /**
+   * offer：有寫的話，跟委託人說完話會自動問要不要接（沒寫就要靠對話效果 { type: "quest" } 開始）
+   * @typedef {{ id: string; title: string; desc: string; giver: string; offer?: string; requires?: DialogueCondition[]; steps: QuestStep[]; reward: QuestReward }} Quest
+   */
+  /** @type {Quest[]} */
+  const QUESTS = [
+    {
+      id: "mikan-mood",
+      title: "好心情快遞",
+      desc: "蜜柑想把好心情分給村裡的貓咪，拜託你幫忙傳話。",
+      giver: "npc-mikan",
+      steps: [
+        { text: "把好心情帶給櫻餅（三花貓）", objective: { type: "talk", npcId: "npc-sakura" } },
+        { text: "也帶給小黑（黑貓）", objective: { type: "talk", npcId: "npc-kuro" } },
+        { text: "回去告訴蜜柑", objective: { type: "talk", npcId: "npc-mikan" } },
+      ],
+      reward: { coins: 20, item: "mood-ribbon" },
+    },
+    {
+      id: "shiro-pillow",
+      title: "最軟的枕頭",
+      desc: "小雪在做毛毛枕頭，還缺一撮陽光味的毛。",
+      giver: "npc-shiro",
+      offer: "對了…我在做一個最軟的毛毛枕頭，可以幫我帶一撮蜜柑的「暖暖貓毛」來嗎？",
+      steps: [
+        {
+          text: "把「一小撮暖暖貓毛」帶給小雪",
+          objective: { type: "bring", npcId: "npc-shiro", item: "fur-mikan" },
+        },
+      ],
+      reward: { coins: 25, item: "shiro-pillow" },
+    },
+    {
+      id: "tora-training",
+      title: "虎斑修行",
+      desc: "虎斑師傅說：想變強，先學會耐心和走遠路。",
+      giver: "npc-tora",
+      offer: "你幫蜜柑跑腿的事我聽說了。想不想接受我的修行？",
+      requires: [{ type: "quest", id: "mikan-mood", state: "completed" }],
+      steps: [
+        { text: "存到 50 金幣（證明你有耐心）", objective: { type: "coins", atLeast: 50 } },
+        {
+          text: "到池塘南岸走一走",
+          objective: { type: "reach", area: { x: 1260, y: 884, w: 420, h: 90 }, place: "池塘南岸" },
+        },
+        { text: "回去找虎斑師傅", objective: { type: "talk", npcId: "npc-tora" } },
+      ],
+      reward: { coins: 30, item: "training-cert" },
+    },
+  ];
+
+  /** @param {string} id */
+  function getQuestById(id) {
+    return QUESTS.find((q) => q.id === id) ?? null;
+  }
+
+  /** @param {string} id @returns {QuestState} */
+  function questState(id) {
+    const progress = save.quests[id];
+    if (progress) return progress.state;
+    const q = getQuestById(id);
+    if (!q) return "locked";
+    return conditionsMet(q.requires) ? "available" : "locked";
+  }
+
+  /** @param {Quest} q */
+  function currentQuestStep(q) {
+    const progress = save.quests[q.id];
+    return progress?.state === "active" ? q.steps[progress.step] ?? null : null;
+  }
+
+  /** @param {string} id */
+  function startQuest(id) {
+    const q = getQuestById(id);
+    if (!q || questState(id) !== "available") return;
+    save.quests[id] = { state: "active", step: 0, startedAt: Date.now() };
+    writeSave(save);
+    setHintTemp(`新任務：${q.title}（按 J 查看任務日誌）`, 3.2);
+    // 條件可能早就達成（例如錢已經夠了）
+    updateQuests();
+    if (isJournalOpen()) renderJournal();
+  }
+
+  /** @param {Quest} q */
+  function advanceQuest(q) {
+    const progress = save.quests[q.id];
+    if (!progress || progress.state !== "active") return;
+    progress.step += 1;
+    if (progress.step >= q.steps.length) {
+      progress.state = "completed";
+      progress.completedAt = Date.now();
+      writeSave(save);
+      giveQuestReward(q);
+      setHintTemp(`任務完成：${q.title}！`, 3.2);
+    } else {
+      writeSave(save);
+      setHintTemp(`任務更新：${q.steps[progress.step].text}`, 3.2);
+    }
+    if (isJournalOpen()) renderJournal();
+  }
+
+  /** @param {Quest} q */
+  function giveQuestReward(q) {
+    const r = q.reward;
+    if (r.item) addItem(r.item, getNpcById(q.giver)?.name ?? q.title);
+    if (r.coins) addCoins(r.coins);
+    if (r.flag) setFlag(r.flag);
   }
 
-  function getNearestNpcWithin(range) {
-    const { cx, cy } = playerCenter();
-    let best = /** @type {Npc|null} */ (null);
-    let bestD = Infinity;
-    for (const npc of npcs) {
-      const d = dist(cx, cy, npc.x, npc.y);
-      if (d <= range && d < bestD) {
-        best = npc;
-        bestD = d;
+  /** 跟某隻貓說完話：推進「說話/帶東西給牠」的步驟 @param {string} npcId */
+  function notifyQuestTalk(npcId) {
+    for (const q of QUESTS) {
+      const step = currentQuestStep(q);
+      if (!step) continue;
+      const o = step.objective;
+      if (o.type === "talk" && o.npcId === npcId) advanceQuest(q);
+      else if (o.type === "bring" && o.npcId === npcId) {
+        const need = o.count ?? 1;
+        if (countItems(o.item) < need) {
+          setHintTemp(`任務：還需要「${getItemDef(o.item)?.name ?? o.item}」×${need}`, 3);
+          continue;
+        }
+        takeItems(o.item, need);
+        advanceQuest(q);
       }
     }
-    return best;
   }
 
-  const SHOP = {
-    x: 680,
-    y: 1000,
-    r: 34,
-  };
-
-  function getShopWithin(range) {
-    const { cx, cy } = playerCenter();
-    const d = dist(cx, cy, SHOP.x, SHOP.y);
-    return d <= range ? d : null;
+  /** 每幀檢查會自己達成的目標（錢幣、抵達地點） */
+  function updateQuests() {
+    const rect = { x: player.x, y: player.y, w: player.w, h: player.h };
+    for (const q of QUESTS) {
+      const step = currentQuestStep(q);
+      if (!step) continue;
+      const o = step.objective;
+      if (o.type === "coins" && save.stats.coins >= o.atLeast) advanceQuest(q);
+      else if (o.type === "reach" && onCurrentMap({ map: o.map ?? "village" }) && rectsOverlap(rect, o.area)) advanceQuest(q);
+    }
   }
 
-  function getNearestInteractable(range) {
-    const npc = getNearestNpcWithin(range);
-    const { cx, cy } = playerCenter();
-    const shopD = getShopWithin(range);
-    let npcD = null;
-    if (npc) npcD = dist(cx, cy, npc.x, npc.y);
+  /** 委託人身上可以接的任務 → 接在對話結尾的一段 @param {string} npcId @returns {DialogueGraph} */
+  function questOfferDialogue(npcId) {
+    const offers = QUESTS.filter((q) => q.giver === npcId && q.offer);
+    /** @type {Record<string, DialogueNode>} */
+    const nodes = {};
+    offers.forEach((q, i) => {
+      const next = i + 1 < offers.length ? `offer-${offers[i + 1].id}` : null;
+      nodes[`offer-${q.id}`] = {
+        text: q.offer ?? "",
+        when: [{ type: "quest", id: q.id, state: "available" }],
+        choices: [
+          { text: "好，交給我！", next: `accepted-${q.id}`, effects: [{ type: "quest", id: q.id }] },
+          { text: "下次吧。", next },
+        ],
+        next,
+      };
+      nodes[`accepted-${q.id}`] = { text: `（任務「${q.title}」已記在任務日誌，按 J 查看。）`, next };
+    });
+    return { start: offers.length > 0 ? `offer-${offers[0].id}` : null, nodes };
+  }
 
-    if (shopD != null && (npcD == null || shopD < npcD)) return { kind: "shop", shopD };
-    if (npc && npcD != null) return { kind: "npc", npc, npcD };
-    return null;
+  /** @param {QuestStep} step */
+  function describeQuestStep(step) {
+    const o = step.objective;
+    if (o.type === "coins") return `${step.text}（${Math.min(save.stats.coins, o.atLeast)}/${o.atLeast}）`;
+    if (o.type === "bring") {
+      const need = o.count ?? 1;
+      return `${step.text}（背包裡 ${Math.min(countItems(o.item), need)}/${need}）`;
+    }
+    return step.text;
   }
 
-  function giveGiftFromNpc(npc) {
-    if (save.givenNpcIds[npc.id]) return;
-    save.givenNpcIds[npc.id] = true;
-    save.gifts.push({
-      id: `${npc.id}-${Date.now()}`,
-      name: npc.gift.name,
-      desc: npc.gift.desc,
-      from: npc.name,
-      time: Date.now(),
-    });
-    writeSave(save);
-    updateGiftBadge();
-    // 收禮順便給點錢 + 小回血（讓數值系統有感）
-    addCoins(10);
-    heal(5);
+  function renderJournal() {
+    ui.journalList.innerHTML = "";
+    const groups = [
+      { state: "active", label: "進行中" },
+      { state: "available", label: "可以接的任務" },
+      { state: "completed", label: "已完成" },
+    ];
+    let shown = 0;
+    for (const group of groups) {
+      const list = QUESTS.filter((q) => questState(q.id) === group.state);
+      if (list.length === 0) continue;
+      const heading = document.createElement("li");
+      heading.className = "journal__heading";
+      heading.textContent = group.label;
+      ui.journalList.appendChild(heading);
+      for (const q of list) {
+        shown += 1;
+        const li = document.createElement("li");
+        li.className = "inventory__item";
+        const name = document.createElement("div");
+        name.className = "inventory__itemName";
+        name.textContent = q.title;
+        const desc = document.createElement("div");
+        desc.className = "inventory__itemDesc";
+        const giver = getNpcById(q.giver)?.name ?? "";
+        desc.textContent = group.state === "available" ? `${q.desc}（去找：${giver}）` : q.desc;
+        li.appendChild(name);
+        li.appendChild(desc);
+        if (group.state !== "available") {
+          const progress = save.quests[q.id];
+          const steps = document.createElement("ol");
+          steps.className = "journal__steps";
+          q.steps.forEach((step, i) => {
+            const item = document.createElement("li");
+            const done = group.state === "completed" || i < progress.step;
+            const current = group.state === "active" && i === progress.step;
+            // 還沒輪到的步驟先不劇透
+            if (!done && !current) return;
+            item.className = done ? "journal__step journal__step--done" : "journal__step";
+            item.textContent = `${done ? "✓" : "▶"} ${current ? describeQuestStep(step) : step.text}`;
+            steps.appendChild(item);
+          });
+          li.appendChild(steps);
+        }
+        ui.journalList.appendChild(li);
+      }
+    }
+    const active = QUESTS.filter((q) => questState(q.id) === "active").length;
+    ui.journalMeta.textContent =
+      shown === 0 ? "目前沒有任務。多跟村裡的貓咪聊聊天，也許有人需要幫忙。" : `進行中 ${active} 個任務（會自動存檔）。`;
   }
 
   /** 輸入 */
@@ -996,12 +5241,45 @@
   }
 
   function isOverlayOpen() {
-    return isInventoryOpen() || isShopOpen() || isHelpOpen();
+    return (
+      isInventoryOpen() ||
+      isShopOpen() ||
+      isCraftOpen() ||
+      isAlbumOpen() ||
+      isJournalOpen() ||
+      isHelpOpen() ||
+      isHistoryOpen() ||
+      isConfirmOpen() ||
+      isDowned()
+    );
   }
 
-  // 只讓「背包」阻擋移動；說明視窗不阻擋（避免第一次進來就覺得不能走）
+  // 只讓「背包」這類視窗阻擋移動；說明視窗不阻擋（避免第一次進來就覺得不能走）
   function isMovementBlocked() {
-    return isInventoryOpen() || isShopOpen();
+    return (
+      isInventoryOpen() ||
+      isShopOpen() ||
+      isCraftOpen() ||
+      isAlbumOpen() ||
+      isJournalOpen() ||
+      isConfirmOpen() ||
+      isDowned() ||
+      !!sceneTransition
+    );
+  }
+
+  function confirmHardReset() {
+    askConfirm(
+      {
+        title: "重新開始？",
+        message: `會清空「${save.meta.name}」的背包、錢幣和位置。\n清空前會先自動備份，之後可以在開始畫面「還原備份」找回來。`,
+        okText: "清空並重新開始",
+      },
+      () => {
+        takeBackup("重置前");
+        hardReset();
+      }
+    );
   }
 
   window.addEventListener("keydown", (e) => {
@@ -1010,69 +5288,121 @@
     // 避免方向鍵捲動頁面
     if (k.startsWith("Arrow") || k === " " || k === "Enter") e.preventDefault();
 
-    // 尚未開始：只允許 Enter / Space 開始遊戲（點按鈕也可以）
+    // 確認視窗優先：←→ 切換按鈕，Space/Enter 按下目前的按鈕，Esc 取消
+    if (isConfirmOpen()) {
+      if (k === "Escape") closeConfirm(false);
+      else if (k === "ArrowLeft" || k === "ArrowRight") {
+        (document.activeElement === ui.confirmOk ? ui.confirmCancel : ui.confirmOk).focus();
+      } else if (k === " " || k === "Enter") closeConfirm(document.activeElement === ui.confirmOk);
+      return;
+    }
+
+    // 尚未開始：↑↓ 選存檔，Enter / Space 開始遊戲（點按鈕也可以）
     if (!gameStarted) {
-      if (k === " " || k === "Enter") startGame();
+      if (k === "ArrowUp") selectSlot(((activeSlot + SAVE_SLOT_COUNT - 2) % SAVE_SLOT_COUNT) + 1);
+      else if (k === "ArrowDown") selectSlot((activeSlot % SAVE_SLOT_COUNT) + 1);
+      else if (k === " " || k === "Enter") startGame();
+      return;
+    }
+
+    // 倒下時只能選「回家休息 / 讀取備份」：←→ 切換，Space/Enter 決定
+    if (isDowned()) {
+      if (k === "ArrowLeft" || k === "ArrowRight") {
+        const next = document.activeElement === ui.downedRespawn ? ui.downedBackup : ui.downedRespawn;
+        if (!next.disabled) next.focus();
+      } else if (k === " " || k === "Enter") {
+        if (document.activeElement === ui.downedBackup) loadDownedBackup();
+        else respawnAtHome();
+      }
       return;
     }
 
     if (k === "Escape") {
-      if (dialogue.active) closeDialogue();
+      if (isHistoryOpen()) closeHistory();
+      else if (dialogue.active) closeDialogue();
       else closeOverlays();
       return;
     }
 
+    // 對話紀錄：對話中也能打開回頭看
+    if (k === "l" || k === "L") {
+      toggleHistory();
+      return;
+    }
+
     if (k === "i" || k === "I") {
       if (dialogue.active) return;
       toggleInventory();
       return;
     }
 
+    if (k === "c" || k === "C") {
+      if (dialogue.active) return;
+      toggleAlbum();
+      return;
+    }
+
+    if (k === "j" || k === "J") {
+      if (dialogue.active) return;
+      toggleJournal();
+      return;
+    }
+
     if (k === "h" || k === "H") {
       if (dialogue.active) return;
       toggleHelp();
       return;
     }
 
-    // 重置：Shift+R（清空存檔並重新開始）
+    // 除錯：顯示 mob 的 AI 狀態
+    if (k === "`") {
+      mobDebug = !mobDebug;
+      return;
+    }
+
+    // 攻擊：往面對的方向揮一爪
+    if (k === "x" || k === "X") {
+      if (dialogue.active || isMovementBlocked()) return;
+      if (!e.repeat) tryAttack();
+      return;
+    }
+
+    // 重置：Shift+R（確認後清空存檔並重新開始）
     if (k === "R") {
       if (dialogue.active) return;
-      hardReset();
+      confirmHardReset();
+      return;
+    }
+
+    if (dialogue.active && !isHistoryOpen() && (k === "ArrowUp" || k === "ArrowDown")) {
+      moveDialogueChoice(k === "ArrowUp" ? -1 : 1);
       return;
     }
 
     if (k === " " || k === "Enter") {
       if (dialogue.active) {
-        advanceDialogue();
+        if (!isHistoryOpen()) advanceDialogue();
         return;
       }
-      if (isOverlayOpen()) return;
+      if (isOverlayOpen() || sceneTransition) return;
 
       const it = getNearestInteractable(72);
-      if (it?.kind === "shop") {
-        openShop();
-        return;
-      }
-      if (it?.kind === "npc") {
-        const npc = it.npc;
-        const already = !!save.givenNpcIds[npc.id];
-        const extra = already
-          ? ["（你已經拿過禮物了，記得去背包看看。）"]
-          : ["（你感覺牠把小禮物交到你手上。）"];
-        openDialogue(
-          npc,
-          npc.dialogue.concat(extra),
-          () => {
-            if (!already) giveGiftFromNpc(npc);
-          }
-        );
-      }
+      if (it) interactWith(it);
+      return;
+    }
+
+    // 商店開著時：←→ 切換「購買 / 售出 / 行情」
+    if (isShopOpen() && !isConfirmOpen() && (k === "ArrowLeft" || k === "ArrowRight")) {
+      const i = SHOP_TABS.indexOf(shopTab) + (k === "ArrowLeft" ? -1 : 1);
+      setShopTab(SHOP_TABS[clamp(i, 0, SHOP_TABS.length - 1)]);
       return;
     }
 
     // 移動鍵：在對話或「阻擋移動的覆蓋層」時不處理
     if (dialogue.active || isMovementBlocked()) return;
 
+    // 自己用方向鍵走就取消點地圖的路線
+    if (k.startsWith("Arrow")) clearMoveTarget();
     keys.add(k);
   });
 
@@ -1080,34 +5410,164 @@
     keys.delete(e.key);
   });
 
+  // 切到背景/關掉分頁/重新整理前把待寫的存檔寫出去，讓「繼續遊戲」回到離開時的位置
+  function flushSaveNow() {
+    if (!storage) return;
+    if (gameStarted) writeSave(save);
+    if (storage.backendName === "indexedDB") mirrorToLocalStorage(slotKey(activeSlot), storage.get(slotKey(activeSlot)));
+    storage.flush();
+  }
+  window.addEventListener("pagehide", () => flushSaveNow());
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushSaveNow();
+  });
+
+  canvas.addEventListener("click", (e) => {
+    if (!gameStarted || dialogue.active || isOverlayOpen()) return;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    const { x, y } = screenToWorld(
+      ((e.clientX - rect.left) * canvas.width) / rect.width,
+      ((e.clientY - rect.top) * canvas.height) / rect.height
+    );
+    setMoveTarget(x, y);
+  });
+
   ui.startGame.addEventListener("click", () => startGame());
-  ui.newGame.addEventListener("click", () => {
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.removeItem(FIRST_VISIT_KEY);
-    save = loadSave();
+  function startNewGame() {
+    if (!storage) return;
+    removeSaveData(storage, slotKey(activeSlot));
+    storage.remove(FIRST_VISIT_KEY);
+    save = loadSave(activeSlot);
     updateGiftBadge();
     updateStatsBadges();
     startGame();
+  }
+
+  ui.newGame.addEventListener("click", () => {
+    if (!storage) return;
+    if (readSlotRaw(activeSlot).status !== "ok") {
+      startNewGame();
+      return;
+    }
+    askConfirm(
+      {
+        title: "開新遊戲？",
+        message: `「${save.meta.name}」目前的進度會被清空（${summarizeSave(save)}）。\n清空前會先自動備份。`,
+        okText: "清空並開始",
+      },
+      () => {
+        takeBackup("新遊戲前");
+        startNewGame();
+      }
+    );
+  });
+
+  ui.restoreBackup.addEventListener("click", () => {
+    const open = ui.backupPanel.hidden;
+    ui.backupPanel.hidden = !open;
+    if (open) renderBackupList();
+  });
+  ui.backupList.addEventListener("click", (e) => {
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    const btn = t?.closest?.("button[data-backup-id]");
+    const id = btn?.getAttribute?.("data-backup-id");
+    if (id) restoreBackup(id);
+  });
+
+  ui.confirmOk.addEventListener("click", () => closeConfirm(true));
+  ui.confirmCancel.addEventListener("click", () => closeConfirm(false));
+  ui.downedRespawn.addEventListener("click", respawnAtHome);
+  ui.downedBackup.addEventListener("click", loadDownedBackup);
+
+  ui.saveSlots.addEventListener("click", (e) => {
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    const renameBtn = t?.closest?.("button[data-slot-rename]");
+    if (renameBtn) {
+      renameSlot(Number(renameBtn.getAttribute("data-slot-rename")));
+      return;
+    }
+    const btn = t?.closest?.("[data-slot]");
+    if (btn) selectSlot(Number(btn.getAttribute("data-slot")));
+  });
+  ui.saveSlots.addEventListener("dblclick", (e) => {
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    if (t?.closest?.("[data-slot]") && !t.closest("button[data-slot-rename]")) startGame();
+  });
+
+  ui.dialogueChoices.addEventListener("click", (e) => {
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    const btn = t?.closest?.("button[data-choice-index]");
+    const idx = btn?.getAttribute?.("data-choice-index");
+    if (idx != null) chooseDialogueOption(Number(idx));
   });
 
   ui.inventoryClose.addEventListener("click", () => closeInventory());
   ui.shopClose.addEventListener("click", () => closeShop());
+  ui.journalClose.addEventListener("click", () => closeJournal());
+  ui.craftClose.addEventListener("click", () => closeCraft());
+  ui.albumClose.addEventListener("click", () => closeAlbum());
+  ui.craftList.addEventListener("click", (e) => {
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    const id = t?.closest?.("button[data-recipe-id]")?.getAttribute("data-recipe-id");
+    if (id) craftRecipe(id);
+  });
   ui.helpClose.addEventListener("click", () => closeHelp());
+  ui.historyClose.addEventListener("click", () => closeHistory());
+  ui.textSpeed.addEventListener("change", () => setTextSpeed(ui.textSpeed.value));
 
   ui.shopSellAll.addEventListener("click", () => sellAllGifts());
+  ui.shopTabBuy.addEventListener("click", () => setShopTab("buy"));
+  ui.shopTabSell.addEventListener("click", () => setShopTab("sell"));
+  ui.shopTabMarket.addEventListener("click", () => setShopTab("market"));
   ui.shopList.addEventListener("click", (e) => {
     const t = /** @type {HTMLElement|null} */ (e.target);
+    const stockId = t?.closest?.("button[data-stock-id]")?.getAttribute("data-stock-id");
+    if (stockId) {
+      buyStockItem(stockId);
+      return;
+    }
     const btn = t?.closest?.("button[data-gift-id]");
     const id = btn?.getAttribute?.("data-gift-id");
     if (id) sellGiftById(id);
   });
+  ui.inventoryList.addEventListener("click", (e) => {
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    const id = t?.closest?.("button[data-use-item-id]")?.getAttribute("data-use-item-id");
+    if (id) useItem(id);
+  });
+  ui.inventoryFilter.addEventListener("change", () => renderInventory());
+  ui.inventorySort.addEventListener("change", () => renderInventory());
+
+  ui.saveExport.addEventListener("click", () => exportSave());
+  ui.saveImport.addEventListener("click", () => ui.saveImportFile.click());
+  ui.saveImportFile.addEventListener("change", () => {
+    const file = ui.saveImportFile.files?.[0];
+    // 清掉選擇，讓同一個檔案可以再選一次
+    ui.saveImportFile.value = "";
+    if (file) importSaveFile(file);
+  });
 
   ui.inventoryClear.addEventListener("click", () => {
-    localStorage.removeItem(STORAGE_KEY);
-    save = loadSave();
-    updateGiftBadge();
-    updateStatsBadges();
-    renderInventory();
+    if (!storage) return;
+    askConfirm(
+      {
+        title: "清空背包？",
+        message: `會清空「${save.meta.name}」的禮物、錢幣和進度。\n清空前會先自動備份，之後可以在開始畫面「還原備份」找回來。`,
+        okText: "清空",
+      },
+      () => {
+        takeBackup("清空前");
+        removeSaveData(storage, slotKey(activeSlot));
+        save = loadSave(activeSlot);
+        // 舊進度留在場上的東西（怪物偷走的錢、地上的錢幣、香包、倒地計時、場景位置）也一起清掉
+        resetRuntimeState();
+        updateGiftBadge();
+        updateStatsBadges();
+        updateClockBadge();
+        updateWeatherBadge();
+      }
+    );
   });
 
   /** 畫面/攝影機 */
@@ -1150,48 +5610,51 @@
 
     const targetX = fx - camera.vw / 2;
     const targetY = fy - camera.vh / 2;
-    camera.x = clamp(targetX, 0, Math.max(0, WORLD.w - camera.vw));
-    camera.y = clamp(targetY, 0, Math.max(0, WORLD.h - camera.vh));
+    // 地圖比畫面小（室內）就置中，不跟著玩家跑
+    camera.x = WORLD.w < camera.vw ? (WORLD.w - camera.vw) / 2 : clamp(targetX, 0, WORLD.w - camera.vw);
+    camera.y = WORLD.h < camera.vh ? (WORLD.h - camera.vh) / 2 : clamp(targetY, 0, WORLD.h - camera.vh);
   }
 
   /** 地圖繪製：簡單瓦片感 + 裝飾 */
   function drawBackground() {
     const vw = camera.vw;
     const vh = camera.vh;
-    // 草地底色
-    ctx.fillStyle = "#0b1a33";
+    // 草地底色（每張地圖可以在 style 換色調）
+    ctx.fillStyle = currentMap.data.style?.base ?? "#0b1a33";
     ctx.fillRect(0, 0, vw, vh);
 
-    // 瓦片紋理（視差小格）
+    drawMapTiles();
+
+    // 小路（村莊小徑）
+    for (const o of currentMap.objects) if (o.type === "path") drawPath(o.points.map(([x, y]) => ({ x, y })));
+  }
+
+  /** 地面格子：有 color 的格子直接塗色，其他（草地）用原本的淡淡雜訊紋理 */
+  function drawMapTiles() {
+    const { vw, vh } = camera;
     const tile = WORLD.tile;
-    const startX = Math.floor(camera.x / tile) * tile - camera.x;
-    const startY = Math.floor(camera.y / tile) * tile - camera.y;
-    for (let y = startY; y < vh; y += tile) {
-      for (let x = startX; x < vw; x += tile) {
-        const gx = x + camera.x;
-        const gy = y + camera.y;
-        const noise = (Math.sin(gx * 0.02) + Math.cos(gy * 0.018)) * 0.5;
-        const a = 0.06 + (noise + 1) * 0.02;
-        ctx.fillStyle = `rgba(124,226,255,${a.toFixed(3)})`;
-        ctx.fillRect(x, y, tile, tile);
+    const grass = currentMap.data.style?.grass ?? "124,226,255";
+    const c0 = Math.max(0, Math.floor(camera.x / tile));
+    const r0 = Math.max(0, Math.floor(camera.y / tile));
+    const c1 = Math.min(currentMap.cols - 1, Math.floor((camera.x + vw) / tile));
+    const r1 = Math.min(currentMap.rows - 1, Math.floor((camera.y + vh) / tile));
+    for (const layer of currentMap.data.layers) {
+      if (layer.type !== "tiles") continue;
+      for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+          const type = currentMap.data.tileTypes[layer.rows[r][c]];
+          const gx = c * tile;
+          const gy = r * tile;
+          if (type.color) ctx.fillStyle = type.color;
+          else {
+            const noise = (Math.sin(gx * 0.02) + Math.cos(gy * 0.018)) * 0.5;
+            const a = 0.06 + (noise + 1) * 0.02;
+            ctx.fillStyle = `rgba(${grass},${a.toFixed(3)})`;
+          }
+          ctx.fillRect(gx - camera.x, gy - camera.y, tile, tile);
+        }
       }
     }
-
-    // 小路（村莊小徑）
-    drawPath([
-      { x: 200, y: 940 },
-      { x: 520, y: 900 },
-      { x: 820, y: 860 },
-      { x: 1100, y: 820 },
-      { x: 1500, y: 780 },
-    ]);
-    drawPath([
-      { x: 520, y: 900 },
-      { x: 520, y: 700 },
-      { x: 520, y: 520 },
-      { x: 520, y: 420 },
-      { x: 520, y: 300 },
-    ]);
   }
 
   function drawPath(points) {
@@ -1218,52 +5681,93 @@
     ctx.restore();
   }
 
-  function drawSolids() {
+  /** 地圖物件的畫法（依 type）；沒列在這裡的物件（出生點、NPC 位置…）不畫 */
+  /** @type {Record<string, (o: MapObject & Required<Pick<MapObject, "x" | "y" | "w" | "h">>) => void>} */
+  const MAP_OBJECT_DRAWERS = {
+    house(o) {
+      const roofH = Math.min(46, Math.floor(o.h * 0.25));
+      ctx.fillStyle = "rgba(255,255,255,.08)";
+      roundRectFill(ctx, o.x, o.y + roofH, o.w, o.h - roofH, 18);
+      ctx.fillStyle = "rgba(255,107,136,.12)";
+      roundRectFill(ctx, o.x, o.y, o.w, roofH + 6, 18);
+      ctx.strokeStyle = "rgba(255,255,255,.16)";
+      ctx.lineWidth = 2;
+      roundRectStroke(ctx, o.x, o.y, o.w, o.h, 18);
+    },
+    door(o) {
+      ctx.fillStyle = "rgba(0,0,0,.18)";
+      roundRectFill(ctx, o.x, o.y, o.w, o.h, 12);
+    },
+    pond(o) {
+      const grad = ctx.createLinearGradient(o.x, o.y, o.x + o.w, o.y + o.h);
+      grad.addColorStop(0, "rgba(124,226,255,.25)");
+      grad.addColorStop(1, "rgba(166,255,203,.12)");
+      ctx.fillStyle = grad;
+      roundRectFill(ctx, o.x, o.y, o.w, o.h, 18);
+      ctx.strokeStyle = "rgba(255,255,255,.16)";
+      ctx.lineWidth = 2;
+      roundRectStroke(ctx, o.x, o.y, o.w, o.h, 18);
+    },
+    fence(o) {
+      ctx.fillStyle = "rgba(255,255,255,.10)";
+      roundRectFill(ctx, o.x, o.y, o.w, o.h, 10);
+      ctx.strokeStyle = "rgba(255,255,255,.16)";
+      ctx.lineWidth = 2;
+      roundRectStroke(ctx, o.x, o.y, o.w, o.h, 10);
+    },
+    // 室內：家具（會擋路）和地毯（只是裝飾），顏色寫在物件的 color
+    furniture(o) {
+      ctx.fillStyle = o.color ?? "rgba(202,163,107,.4)";
+      roundRectFill(ctx, o.x, o.y, o.w, o.h, 10);
+      ctx.strokeStyle = "rgba(255,255,255,.16)";
+      ctx.lineWidth = 2;
+      roundRectStroke(ctx, o.x, o.y, o.w, o.h, 10);
+    },
+    rug(o) {
+      ctx.fillStyle = o.color ?? "rgba(255,242,222,.1)";
+      roundRectFill(ctx, o.x, o.y, o.w, o.h, 18);
+    },
+    // 市場攤位：檯面 + 條紋遮雨棚
+    stall(o) {
+      const awningH = Math.min(24, Math.floor(o.h * 0.4));
+      ctx.fillStyle = "rgba(202,163,107,.35)";
+      roundRectFill(ctx, o.x, o.y + awningH, o.w, o.h - awningH, 8);
+      const stripes = Math.max(2, Math.round(o.w / 24));
+      for (let i = 0; i < stripes; i++) {
+        ctx.fillStyle = i % 2 === 0 ? o.color ?? "rgba(255,107,136,.45)" : "rgba(255,242,222,.35)";
+        ctx.fillRect(o.x + (o.w / stripes) * i, o.y, o.w / stripes + 0.5, awningH);
+      }
+      ctx.strokeStyle = "rgba(255,255,255,.16)";
+      ctx.lineWidth = 2;
+      roundRectStroke(ctx, o.x, o.y, o.w, o.h, 8);
+    },
+    // 地圖邊緣的通道：一條發光的邊，加上通往哪裡的小招牌
+    portal(o) {
+      const pulse = (Math.sin(performance.now() / 400) + 1) / 2;
+      ctx.fillStyle = `rgba(255,211,107,${(0.12 + pulse * 0.1).toFixed(3)})`;
+      roundRectFill(ctx, o.x, o.y, o.w, o.h, 8);
+      const to = o.target ? maps[o.target.map] : null;
+      if (!to) return;
+      // 招牌放在通道往地圖裡面一點的地方，免得被畫面邊緣切掉
+      const label = { up: "↓", down: "↑", left: "→", right: "←" }[o.facing ?? "down"];
+      let tx = o.x + o.w / 2;
+      let ty = o.y + o.h / 2;
+      if (o.facing === "up") ty = o.y - 22;
+      else if (o.facing === "left") tx = o.x - 50;
+      else if (o.facing === "right") tx = o.x + o.w + 50;
+      else ty = o.y + o.h + 22;
+      drawNameTag(tx, ty, `${label} ${to.data.name}`);
+    },
+  };
+
+  /** 依圖層順序畫地圖上的房子 / 門 / 水池 / 柵欄 / 家具 / 攤位 / 通道 */
+  function drawMapObjects() {
     ctx.save();
     ctx.translate(-camera.x, -camera.y);
-
-    for (const s of solids) {
-      // 跳過外框巨牆（不畫）
-      if (s.w > 5000 || s.h > 5000) continue;
-
-      // 以位置判斷種類（房子 vs 水池 vs 柵欄）
-      const isPond = s.x > 1200 && s.y > 600;
-      const isFence = s.h <= 45 || s.w <= 45;
-      if (isPond) {
-        // 水池
-        const grad = ctx.createLinearGradient(s.x, s.y, s.x + s.w, s.y + s.h);
-        grad.addColorStop(0, "rgba(124,226,255,.25)");
-        grad.addColorStop(1, "rgba(166,255,203,.12)");
-        ctx.fillStyle = grad;
-        roundRectFill(ctx, s.x, s.y, s.w, s.h, 18);
-        ctx.strokeStyle = "rgba(255,255,255,.16)";
-        ctx.lineWidth = 2;
-        roundRectStroke(ctx, s.x, s.y, s.w, s.h, 18);
-      } else if (isFence) {
-        ctx.fillStyle = "rgba(255,255,255,.10)";
-        roundRectFill(ctx, s.x, s.y, s.w, s.h, 10);
-        ctx.strokeStyle = "rgba(255,255,255,.16)";
-        ctx.lineWidth = 2;
-        roundRectStroke(ctx, s.x, s.y, s.w, s.h, 10);
-      } else {
-        // 房子
-        const roofH = Math.min(46, Math.floor(s.h * 0.25));
-        ctx.fillStyle = "rgba(255,255,255,.08)";
-        roundRectFill(ctx, s.x, s.y + roofH, s.w, s.h - roofH, 18);
-        ctx.fillStyle = "rgba(255,107,136,.12)";
-        roundRectFill(ctx, s.x, s.y, s.w, roofH + 6, 18);
-        ctx.strokeStyle = "rgba(255,255,255,.16)";
-        ctx.lineWidth = 2;
-        roundRectStroke(ctx, s.x, s.y, s.w, s.h, 18);
-
-        // 門
-        ctx.fillStyle = "rgba(0,0,0,.18)";
-        const doorW = 42;
-        const doorH = 58;
-        roundRectFill(ctx, s.x + s.w / 2 - doorW / 2, s.y + s.h - doorH - 10, doorW, doorH, 12);
-      }
+    for (const o of currentMap.objects) {
+      const draw = MAP_OBJECT_DRAWERS[o.type];
+      if (draw) draw(/** @type {any} */ (o));
     }
-
     ctx.restore();
   }
 
@@ -1289,13 +5793,7 @@
         const dy = npc.y + npc.r - size; // 讓圖片底部貼近「腳底」
         ctx.drawImage(img, dx, dy, size, size);
         ctx.imageSmoothingEnabled = prevSmoothing;
-        // 名牌（靠近時顯示）
-        const near = getNearestNpcWithin(72);
-        if (near && near.id === npc.id && !dialogue.active) {
-          const given = !!save.givenNpcIds[npc.id];
-          const label = given ? `${npc.name}（已收禮）` : npc.name;
-          drawNameTag(npc.x, npc.y - npc.r - 18, label);
-        }
+        drawNpcLabel(npc);
         ctx.restore();
         return;
       }
@@ -1323,15 +5821,25 @@
     ctx.arc(npc.x + 7, npc.y - 4, 2.6, 0, Math.PI * 2);
     ctx.fill();
 
-    // 名牌（靠近時顯示）
+    drawNpcLabel(npc);
+    ctx.restore();
+  }
+
+  /** 名牌（靠近時顯示，順便寫正在做什麼）；離得遠時只在頭上畫作息的小圖示 @param {Npc} npc */
+  function drawNpcLabel(npc) {
+    const activity = npcActivity(npc);
     const near = getNearestNpcWithin(72);
     if (near && near.id === npc.id && !dialogue.active) {
       const given = !!save.givenNpcIds[npc.id];
-      const label = given ? `${npc.name}（已收禮）` : npc.name;
+      let label = given ? `${npc.name}（已收禮）` : npc.name;
+      if (activity) label += `・${activity.label}`;
       drawNameTag(npc.x, npc.y - npc.r - 18, label);
+    } else if (activity) {
+      ctx.font = "14px ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Arial";
+      ctx.textAlign = "center";
+      ctx.fillStyle = "rgba(255,255,255,.95)";
+      ctx.fillText(activity.icon, npc.x, npc.y - npc.r - 12 + Math.sin(performance.now() / 500) * 2);
     }
-
-    ctx.restore();
   }
 
   function drawNameTag(x, y, text) {
@@ -1356,6 +5864,8 @@
   function drawPlayer() {
     ctx.save();
     ctx.translate(-camera.x, -camera.y);
+    // 受傷後的無敵時間：閃爍
+    if (player.invuln > 0 && Math.floor(player.invuln * 16) % 2 === 0) ctx.globalAlpha = 0.4;
 
     // 影子
     ctx.fillStyle = "rgba(0,0,0,.28)";
@@ -1435,9 +5945,231 @@
     c.stroke();
   }
 
+  /**
+   * 點地圖移動：點（或觸控）畫布上的一個點，玩家沿著導航路徑走過去；
+   * 點到 NPC / 商店 / 工作台就走到旁邊並自動互動。按方向鍵、打開視窗或被打到都會取消。
+   */
+  /** @typedef {{ kind: "npc"; npc: Npc } | { kind: "shop" } | { kind: "bench" }} MoveInteract */
+  /** @typedef {{ x:number; y:number; path: Point[]; interact: MoveInteract | null; repath:number; giveUp:number }} MoveTarget */
+  /** @type {MoveTarget | null} */
+  let moveTarget = null;
+  // 玩家的矩形包在這個半徑的正方形裡，找路時當成圓形角色
+  const PLAYER_NAV_R = Math.max(player.w, player.h) / 2;
+  const MOVE_GIVE_UP_SECONDS = 10;
+
+  /** 畫布像素 → 世界座標（render 先 scale(zoom) 再 translate(-camera)） @param {number} sx @param {number} sy */
+  function screenToWorld(sx, sy) {
+    return { x: camera.x + sx / camera.zoom, y: camera.y + sy / camera.zoom };
+  }
+
+  /** 點到的是不是可以互動的東西 @param {number} x @param {number} y @returns {MoveInteract | null} */
+  function interactAt(x, y) {
+    const npc = npcs.find((n) => onCurrentMap(n) && dist(x, y, n.x, n.y) <= n.r + 12);
+    if (npc) return { kind: "npc", npc };
+    if (onCurrentMap(SHOP) && dist(x, y, SHOP.x, SHOP.y) <= SHOP.r + 14) return { kind: "shop" };
+    if (onCurrentMap(CRAFT_BENCH) && dist(x, y, CRAFT_BENCH.x, CRAFT_BENCH.y) <= CRAFT_BENCH.r + 14) return { kind: "bench" };
+    return null;
+  }
+
+  /** @param {MoveInteract} target */
+  function interactPoint(target) {
+    if (target.kind === "npc") return { x: target.npc.x, y: target.npc.y };
+    return target.kind === "shop" ? { x: SHOP.x, y: SHOP.y } : { x: CRAFT_BENCH.x, y: CRAFT_BENCH.y };
+  }
+
+  /** @param {number} x @param {number} y */
+  function setMoveTarget(x, y) {
+    const interact = interactAt(x, y);
+    const dest = interact ? interactPoint(interact) : { x, y };
+    const { cx, cy } = playerCenter();
+    const path = findPath(cx, cy, dest.x, dest.y, PLAYER_NAV_R);
+    if (!path) {
+      setHintTemp("那裡走不過去", 1.0);
+      return;
+    }
+    const end = path[path.length - 1];
+    moveTarget = {
+      x: interact ? dest.x : end.x,
+      y: interact ? dest.y : end.y,
+      path,
+      interact,
+      repath: MOB_REPATH_SECONDS,
+      giveUp: MOVE_GIVE_UP_SECONDS,
+    };
+    keys.clear();
+    // 已經站在旁邊就直接互動
+    if (interact) tryArrivalInteract();
+  }
+
+  function clearMoveTarget() {
+    moveTarget = null;
+  }
+
+  /** 目標已經在互動範圍內就互動並結束路線 */
+  function tryArrivalInteract() {
+    const want = moveTarget?.interact;
+    if (!want) return false;
+    const it = getNearestInteractable(72);
+    if (!it || it.kind !== want.kind || (it.kind === "npc" && want.kind === "npc" && it.npc !== want.npc)) return false;
+    clearMoveTarget();
+    interactWith(it);
+    return true;
+  }
+
+  /** @param {number} dt */
+  function updateMoveTarget(dt) {
+    const t = moveTarget;
+    if (!t) return;
+    t.giveUp -= dt;
+    if (t.giveUp <= 0) {
+      clearMoveTarget();
+      return;
+    }
+    if (tryArrivalInteract()) return;
+    // NPC 會走動：隔一下重算到牠身邊的路
+    if (t.interact?.kind === "npc") {
+      t.repath -= dt;
+      if (t.repath <= 0 || t.path.length === 0) {
+        const { cx, cy } = playerCenter();
+        t.x = t.interact.npc.x;
+        t.y = t.interact.npc.y;
+        t.path = findPath(cx, cy, t.x, t.y, PLAYER_NAV_R) ?? [];
+        t.repath = MOB_REPATH_SECONDS;
+      }
+    }
+    const { cx, cy } = playerCenter();
+    const pos = { x: cx, y: cy };
+    const done = followPath(pos, t.path, player.speed, dt);
+    const dx = pos.x - cx;
+    const dy = pos.y - cy;
+    if (dx !== 0 || dy !== 0) {
+      if (Math.abs(dx) > Math.abs(dy)) player.facing = dx < 0 ? "left" : "right";
+      else player.facing = dy < 0 ? "up" : "down";
+    }
+    player.x = pos.x - player.w / 2;
+    player.y = pos.y - player.h / 2;
+    if (done && !t.interact) clearMoveTarget();
+    else if (done) tryArrivalInteract();
+  }
+
+  function drawMoveTarget() {
+    if (!moveTarget) return;
+    const { x, y } = moveTarget;
+    const pulse = (Math.sin(performance.now() / 160) + 1) / 2;
+    ctx.save();
+    ctx.translate(-camera.x, -camera.y);
+    ctx.strokeStyle = `rgba(124,226,255,${0.5 + pulse * 0.4})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(x, y + (moveTarget.interact ? 18 : 0), 12 + pulse * 4, 6 + pulse * 2, 0, 0, Math.PI * 2);
+    ctx.stroke();
+    if (!moveTarget.interact) {
+      ctx.beginPath();
+      ctx.moveTo(x - 5, y - 5);
+      ctx.lineTo(x + 5, y + 5);
+      ctx.moveTo(x + 5, y - 5);
+      ctx.lineTo(x - 5, y + 5);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 場景切換：走進門 / 地圖邊緣通道的範圍（而且面朝裡面）就淡出 → 換到 target 的地圖 → 從那邊的出入口走出來 → 淡入。
+   * 出入口的 facing 是「從這裡出來時面對的方向」，所以往反方向走才會進去。
+   */
+  const SCENE_FADE_SECONDS = 0.25;
+  const DOOR_TRIGGER_PAD = 14;
+  /** @type {Record<Facing, Facing>} */
+  const OPPOSITE_FACING = { up: "down", down: "up", left: "right", right: "left" };
+  /** @type {{ t: number; to: { map: string; door: string }; switched: boolean } | null} */
+  let sceneTransition = null;
+
+  /** 換地圖：碰撞盒、導航格、世界大小、地點徽章都跟著換（不動玩家位置） @param {string} id */
+  function switchMap(id) {
+    const map = maps[id];
+    if (!map || map === currentMap) return;
+    currentMap = map;
+    WORLD.w = map.data.width;
+    WORLD.h = map.data.height;
+    WORLD.tile = map.data.tileSize;
+    solids.splice(0, solids.length, ...map.solids);
+    invalidateNavGrids();
+    clearMoveTarget();
+    updateLocationBadge();
+  }
+
+  function updateLocationBadge() {
+    ui.badgeLocation.textContent = `地點：${currentMap.data.name}`;
+  }
+
+  /** 站到門 / 通道外（facing 那一側、離觸發範圍再遠一點），面朝外 @param {MapObject} door */
+  function placeAtDoor(door) {
+    const gap = DOOR_TRIGGER_PAD + 4;
+    let x = door.x + door.w / 2 - player.w / 2;
+    let y = door.y + door.h / 2 - player.h / 2;
+    if (door.facing === "up") y = door.y - player.h - gap;
+    else if (door.facing === "left") x = door.x - player.w - gap;
+    else if (door.facing === "right") x = door.x + door.w + gap;
+    else y = door.y + door.h + gap;
+    const p = rescueToWalkable(x, y, player.w, player.h) ?? { x, y };
+    player.x = p.x;
+    player.y = p.y;
+    player.facing = door.facing ?? "down";
+    player.kbx = 0;
+    player.kby = 0;
+  }
+
+  /** 換到某張地圖的某個出入口；馬上存檔，重新整理後會回到這個場景 @param {{ map: string; door: string }} to */
+  function enterScene(to) {
+    switchMap(to.map);
+    const door = currentMap.objects.find((o) => ENTRY_TYPES.includes(o.type) && o.id === to.door);
+    if (door) placeAtDoor(door);
+    updateCamera();
+    writeSave(save);
+  }
+
+  function checkEntries() {
+    if (sceneTransition) return;
+    const rect = { x: player.x, y: player.y, w: player.w, h: player.h };
+    const pad = DOOR_TRIGGER_PAD;
+    for (const o of currentMap.objects) {
+      if (!ENTRY_TYPES.includes(o.type) || !o.target) continue;
+      if (o.facing && player.facing !== OPPOSITE_FACING[o.facing]) continue;
+      if (!rectsOverlap(rect, { x: o.x - pad, y: o.y - pad, w: o.w + pad * 2, h: o.h + pad * 2 })) continue;
+      sceneTransition = { t: 0, to: o.target, switched: false };
+      clearMoveTarget();
+      return;
+    }
+  }
+
+  function updateSceneTransition(dt) {
+    const tr = sceneTransition;
+    if (!tr) return;
+    tr.t += dt;
+    if (!tr.switched && tr.t >= SCENE_FADE_SECONDS) {
+      tr.switched = true;
+      enterScene(tr.to);
+    }
+    if (tr.t >= SCENE_FADE_SECONDS * 2) sceneTransition = null;
+  }
+
+  function drawSceneFade() {
+    const tr = sceneTransition;
+    if (!tr) return;
+    const a = tr.t < SCENE_FADE_SECONDS ? tr.t / SCENE_FADE_SECONDS : 2 - tr.t / SCENE_FADE_SECONDS;
+    ctx.fillStyle = `rgba(5,8,18,${clamp01(a).toFixed(3)})`;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
   /** 更新：移動與碰撞 */
   let lastTs = performance.now();
 
+  // 世界快照每隔幾秒存一次（錢幣/HP 變動時也會順便存）
+  const WORLD_AUTOSAVE_SECONDS = 5;
+  let worldAutosaveTimer = WORLD_AUTOSAVE_SECONDS;
+  let backupTimer = BACKUP_INTERVAL_SECONDS;
+
   function step(ts) {
     const dt = Math.min(0.033, Math.max(0.001, (ts - lastTs) / 1000));
     lastTs = ts;
@@ -1448,6 +6180,8 @@
   }
 
   function update(dt) {
+    const prevX = player.x;
+    const prevY = player.y;
     if (!dialogue.active && !isMovementBlocked()) {
       let vx = 0;
       let vy = 0;
@@ -1480,23 +6214,53 @@
         const next = { x: player.x, y: player.y + dy, w: player.w, h: player.h };
         if (!collides(next, solids)) player.y += dy;
       }
+
+      if (dx === 0 && dy === 0) updateMoveTarget(dt);
+      checkEntries();
+    } else {
+      clearMoveTarget();
     }
+    updateSceneTransition(dt);
 
+    // NPC 作息：時段換了就出發（不在畫面上的直接到）
+    updateNpcSchedules();
     // NPC 閒晃：對話中先暫停（避免互動時飄走）
     if (!dialogue.active) updateNpcWander(dt);
+    else tickTypewriter(dt);
+    advanceClock(dt);
+    updateWeather();
+    updateCombat(dt);
     updateMobs(dt);
+    updateRegen(dt, player.x !== prevX || player.y !== prevY);
+    updateQuests();
     updateHintOverride(performance.now());
 
+    worldAutosaveTimer -= dt;
+    if (worldAutosaveTimer <= 0) {
+      worldAutosaveTimer = WORLD_AUTOSAVE_SECONDS;
+      writeSave(save);
+    }
+    backupTimer -= dt;
+    if (backupTimer <= 0) {
+      backupTimer = BACKUP_INTERVAL_SECONDS;
+      // 倒下時不拍：免得把「讀取備份」能回去的那份擠掉
+      if (!isDowned()) takeBackup("自動備份");
+    }
+
     updateCameraZoom(dt);
     updateCamera();
 
     // 靠近提示
     if (!dialogue.active && !isOverlayOpen()) {
       const it = getNearestInteractable(72);
-      if (it?.kind === "shop") showPrompt("開商店（售出禮物換錢幣）");
+      if (it?.kind === "shop") showPrompt("開商店（買東西 / 賣禮物）");
+      else if (it?.kind === "bench") showPrompt("用工作台合成道具");
       else if (it?.kind === "npc") {
+        const activity = npcActivity(it.npc);
+        const doing = activity ? `（正在${activity.label}）` : "";
         const given = !!save.givenNpcIds[it.npc.id];
-        showPrompt(given ? "與貓咪聊天（已拿過禮物）" : "跟貓咪聊天並拿小禮物");
+        if (!it.npc.gift) showPrompt(`跟貓咪聊天${doing}`);
+        else showPrompt(given ? `與貓咪聊天（已拿過禮物）${doing}` : `跟貓咪聊天並拿小禮物${doing}`);
       } else hidePrompt();
     } else {
       hidePrompt();
@@ -1513,37 +6277,56 @@
     ctx.scale(camera.zoom, camera.zoom);
 
     drawBackground();
-    drawSolids();
+    drawMapObjects();
     drawShop();
+    drawCraftBench();
+    drawQuestMarkers();
+    drawMoveTarget();
 
-    // 盜賊/凶狠貓
-    for (const m of mobs) drawMob(m);
+    // 盜賊/凶狠貓與掉落的錢幣
+    for (const m of mobs) if (onCurrentMap(m)) drawMob(m);
+    drawCoinDrops();
 
     // NPC
-    for (const npc of npcs) drawNpc(npc);
+    for (const npc of npcs) if (onCurrentMap(npc)) drawNpc(npc);
 
     // 玩家
     drawPlayer();
+    drawSwing();
+    drawMobDebug();
 
     // 迷你裝飾：一些發光點（firefly）
     drawFireflies();
+    drawWeather();
 
     ctx.restore();
+    drawLighting();
+    drawSceneFade();
+  }
+
+  /** 螢火蟲的位置（世界座標）與亮度；室內、下雨下雪時沒有 @returns {{ x:number; y:number; a:number }[]} */
+  function fireflies() {
+    if (currentMap.data.indoor || weatherIs("rain") || weatherIs("snow")) return [];
+    const out = [];
+    for (let i = 0; i < 24; i++) {
+      const x = (Math.sin(i * 77.7 + lastTs * 0.0006) * 0.5 + 0.5) * WORLD.w;
+      const y = (Math.cos(i * 31.3 + lastTs * 0.0007) * 0.5 + 0.5) * WORLD.h;
+      out.push({ x, y, a: 0.12 + (Math.sin(lastTs * 0.003 + i) + 1) * 0.08 });
+    }
+    return out;
   }
 
   function drawFireflies() {
-    const count = 24;
     const vw = camera.vw;
     const vh = camera.vh;
+    // 晚上亮一點
+    const glow = 1 + darkness() * 1.5;
     ctx.save();
-    for (let i = 0; i < count; i++) {
-      const px = (Math.sin(i * 77.7 + lastTs * 0.0006) * 0.5 + 0.5) * WORLD.w;
-      const py = (Math.cos(i * 31.3 + lastTs * 0.0007) * 0.5 + 0.5) * WORLD.h;
-      const sx = px - camera.x;
-      const sy = py - camera.y;
+    for (const f of fireflies()) {
+      const sx = f.x - camera.x;
+      const sy = f.y - camera.y;
       if (sx < -30 || sy < -30 || sx > vw + 30 || sy > vh + 30) continue;
-      const a = 0.12 + (Math.sin(lastTs * 0.003 + i) + 1) * 0.08;
-      ctx.fillStyle = `rgba(166,255,203,${a.toFixed(3)})`;
+      ctx.fillStyle = `rgba(166,255,203,${Math.min(1, f.a * glow).toFixed(3)})`;
       ctx.beginPath();
       ctx.arc(sx, sy, 2.2, 0, Math.PI * 2);
       ctx.fill();
@@ -1551,9 +6334,152 @@
     ctx.restore();
   }
 
+  /**
+   * 天氣的粒子層：雨絲、雪花、霧氣，畫在世界上面（室內看不到）。
+   * 粒子不另外存狀態：位置由編號和時間算出來，跟著世界座標捲動，所以鏡頭移動時會有「真的在那裡」的感覺。
+   * vx / vy 是每秒往旁邊 / 往下飄多少（px），count 是畫面上有幾顆（大雨用 heavyCount）。
+   */
+  const WEATHER_LAYERS = {
+    rain: { count: 70, heavyCount: 150, vx: -90, vy: 620, length: 14 },
+    snow: { count: 60, vx: 12, vy: 45, sway: 16 },
+  };
+  // 大雨和起霧時整個畫面蓋一層灰色
+  const WEATHER_TINT = { rain: "rgba(40,58,88,.14)", heavyRain: "rgba(30,44,70,.26)", fog: "rgba(214,222,236,.30)" };
+
+  /** 0～1 的假亂數（同一個 i 永遠一樣） @param {number} i */
+  function particleNoise(i) {
+    const x = Math.sin(i * 12.9898) * 43758.5453;
+    return x - Math.floor(x);
+  }
+
+  /** 第 i 顆粒子在畫面上的位置：世界座標循環貼在畫面上 @param {number} i @param {number} vx @param {number} vy */
+  function particlePos(i, vx, vy) {
+    const t = lastTs / 1000;
+    const pad = 40;
+    const w = camera.vw + pad * 2;
+    const h = camera.vh + pad * 2;
+    const x = particleNoise(i) * w + vx * t - camera.x;
+    const y = particleNoise(i + 0.5) * h + vy * t * (0.8 + particleNoise(i + 0.25) * 0.4) - camera.y;
+    return { x: (((x % w) + w) % w) - pad, y: (((y % h) + h) % h) - pad };
+  }
+
+  function drawWeather() {
+    if (currentMap.data.indoor) return;
+    const kind = save.weather.kind;
+    if (kind === "clear") return;
+    ctx.save();
+    if (kind === "rain") {
+      const L = WEATHER_LAYERS.rain;
+      const n = isHeavyRain() ? L.heavyCount : L.count;
+      const dx = (L.vx / L.vy) * L.length;
+      ctx.strokeStyle = "rgba(190,215,255,.55)";
+      ctx.lineWidth = 1.2;
+      ctx.beginPath();
+      for (let i = 0; i < n; i++) {
+        const p = particlePos(i, L.vx, L.vy);
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(p.x + dx, p.y + L.length);
+      }
+      ctx.stroke();
+      ctx.fillStyle = isHeavyRain() ? WEATHER_TINT.heavyRain : WEATHER_TINT.rain;
+      ctx.fillRect(0, 0, camera.vw, camera.vh);
+    } else if (kind === "snow") {
+      const L = WEATHER_LAYERS.snow;
+      const t = lastTs / 1000;
+      ctx.fillStyle = "rgba(255,255,255,.85)";
+      for (let i = 0; i < L.count; i++) {
+        const p = particlePos(i, L.vx, L.vy);
+        ctx.beginPath();
+        ctx.arc(p.x + Math.sin(t * 1.3 + i) * L.sway, p.y, 1.5 + particleNoise(i + 0.75) * 1.8, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    } else {
+      // 霧：整片淡灰，再加幾團慢慢飄的霧氣
+      ctx.fillStyle = WEATHER_TINT.fog;
+      ctx.fillRect(0, 0, camera.vw, camera.vh);
+      for (let i = 0; i < 6; i++) {
+        const p = particlePos(i, 14, 4);
+        const r = 140 + particleNoise(i + 0.3) * 120;
+        const grad = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, r);
+        grad.addColorStop(0, "rgba(230,236,246,.35)");
+        grad.addColorStop(1, "rgba(230,236,246,0)");
+        ctx.fillStyle = grad;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 日夜光線：依遊戲時間在整個畫面蓋一層夜色，再在門口、通道、商店、螢火蟲和玩家身邊挖出亮光。
+   * 夜色畫在另一張 canvas 上（destination-out 挖洞），最後整張疊回主畫面。
+   */
+  const LIGHTING = {
+    nightAlpha: 0.62,
+    // 室內有燈，晚上只暗一點點
+    indoorFactor: 0.35,
+  };
+  const lightCanvas = document.createElement("canvas");
+  const lightCtx = /** @type {CanvasRenderingContext2D} */ (lightCanvas.getContext("2d"));
+
+  /** 天色：0＝白天，1＝半夜；清晨 5～7 點慢慢變亮，傍晚 17～20 點慢慢變暗 */
+  function darkness() {
+    const h = clockHour();
+    if (h >= 7 && h < 17) return 0;
+    if (h >= 5 && h < 7) return 1 - (h - 5) / 2;
+    if (h >= 17 && h < 20) return (h - 17) / 3;
+    return 1;
+  }
+
+  /** 會發光的東西（世界座標、半徑、亮度 0～1） @returns {{ x:number; y:number; r:number; strength:number }[]} */
+  function lightSources() {
+    const { cx, cy } = playerCenter();
+    const out = [{ x: cx, y: cy, r: 90, strength: 0.55 }];
+    for (const o of currentMap.objects) {
+      if (ENTRY_TYPES.includes(o.type)) out.push({ x: o.x + o.w / 2, y: o.y + o.h / 2, r: 110, strength: 0.85 });
+    }
+    if (onCurrentMap(SHOP)) out.push({ x: SHOP.x, y: SHOP.y, r: 150, strength: 0.9 });
+    for (const f of fireflies()) out.push({ x: f.x, y: f.y, r: 26, strength: 0.5 });
+    return out;
+  }
+
+  function drawLighting() {
+    const dark = darkness() * (currentMap.data.indoor ? LIGHTING.indoorFactor : 1);
+    if (dark <= 0) return;
+    if (lightCanvas.width !== canvas.width || lightCanvas.height !== canvas.height) {
+      lightCanvas.width = canvas.width;
+      lightCanvas.height = canvas.height;
+    }
+    const lc = lightCtx;
+    lc.globalCompositeOperation = "source-over";
+    lc.clearRect(0, 0, lightCanvas.width, lightCanvas.height);
+    lc.fillStyle = `rgba(6,9,28,${(dark * LIGHTING.nightAlpha).toFixed(3)})`;
+    lc.fillRect(0, 0, lightCanvas.width, lightCanvas.height);
+    lc.globalCompositeOperation = "destination-out";
+    for (const l of lightSources()) {
+      const x = (l.x - camera.x) * camera.zoom;
+      const y = (l.y - camera.y) * camera.zoom;
+      const r = l.r * camera.zoom;
+      if (x < -r || y < -r || x > lightCanvas.width + r || y > lightCanvas.height + r) continue;
+      const grad = lc.createRadialGradient(x, y, 0, x, y, r);
+      grad.addColorStop(0, `rgba(0,0,0,${l.strength})`);
+      grad.addColorStop(1, "rgba(0,0,0,0)");
+      lc.fillStyle = grad;
+      lc.beginPath();
+      lc.arc(x, y, r, 0, Math.PI * 2);
+      lc.fill();
+    }
+    lc.globalCompositeOperation = "source-over";
+    ctx.drawImage(lightCanvas, 0, 0);
+  }
+
   // 初始 UI（先顯示開始畫面，按下開始才啟動遊戲）
   updateGiftBadge();
   updateStatsBadges();
+  updateClockBadge();
+  updateWeatherBadge();
   ui.badgeHint.textContent = DEFAULT_HINT;
   hidePrompt();
   closeDialogue();
@@ -1564,4 +6490,30 @@
   updateCameraZoom(0.001);
   updateCamera();
   render();
+
+  // 儲存層載入後才能選存檔/開始
+  ui.startGame.disabled = true;
+  ui.newGame.disabled = true;
+  ui.restoreBackup.disabled = true;
+  openStorage(updateStorageWarning).then(
+    (store) => {
+      storage = store;
+      // 只剩記憶體可用：照常玩，但提醒不會留下進度
+      if (store.backendName === "memory" && !/[?&]storage=memory\b/.test(window.location.search)) {
+        updateStorageWarning(new Error("無法使用瀏覽器儲存空間"));
+      }
+      applyResetParam(store);
+      setTextSpeed(store.get(TEXT_SPEED_KEY) ?? textSpeed);
+      migrateLegacyStorage(store);
+      activeSlot = loadActiveSlot(store);
+      save = loadSave(activeSlot);
+      updateGiftBadge();
+      updateStatsBadges();
+      renderSaveSlots();
+      ui.startGame.disabled = false;
+      ui.newGame.disabled = false;
+      ui.restoreBackup.disabled = false;
+    },
+    (err) => updateStorageWarning(err)
+  );
 })();
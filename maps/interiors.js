@@ -0,0 +1,267 @@
+// 村莊裡五間房子的室內地圖（內容是純 JSON，格式說明見 README「地圖格式」）。
+// 門的 target 指向要去的地圖與那張地圖上的門；facing 是從這扇門出來時面對的方向。
+window.CAT_VILLAGE_MAPS = window.CAT_VILLAGE_MAPS || {};
+
+window.CAT_VILLAGE_MAPS["home-mikan"] = {
+  "id": "home-mikan",
+  "name": "蜜柑的家",
+  "indoor": true,
+  "width": 720,
+  "height": 432,
+  "tileSize": 48,
+  "tileTypes": {
+    ",": { "name": "floor", "color": "rgba(202,163,107,.16)" },
+    "#": { "name": "wall", "color": "rgba(255,255,255,.10)", "solid": true }
+  },
+  "objectTypes": {
+    "furniture": { "solid": true, "shape": "rect" },
+    "rug": { "solid": false, "shape": "rect" },
+    "door": { "solid": false, "shape": "rect" },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "floor",
+      "rows": [
+        "###############",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "###############"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "furniture",
+      "objects": [
+        {"type": "furniture", "id": "sofa", "x": 96, "y": 72, "w": 192, "h": 60, "color": "rgba(255,176,87,.35)"},
+        {"type": "rug", "id": "rug", "x": 264, "y": 192, "w": 192, "h": 120, "color": "rgba(255,242,222,.10)"},
+        {"type": "furniture", "id": "basket", "x": 552, "y": 84, "w": 84, "h": 60, "color": "rgba(202,163,107,.45)"},
+        {"type": "door", "id": "exit", "x": 336, "y": 384, "w": 48, "h": 48, "facing": "up", "target": {"map": "village", "door": "door-1"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "npc", "id": "npc-afu", "x": 180, "y": 200},
+        {"type": "spot", "id": "spot-mikan-rug", "x": 360, "y": 252}
+      ]
+    }
+  ]
+};
+
+window.CAT_VILLAGE_MAPS["home-kuro"] = {
+  "id": "home-kuro",
+  "name": "小黑的家",
+  "indoor": true,
+  "width": 720,
+  "height": 432,
+  "tileSize": 48,
+  "tileTypes": {
+    ",": { "name": "floor", "color": "rgba(202,163,107,.16)" },
+    "#": { "name": "wall", "color": "rgba(255,255,255,.10)", "solid": true }
+  },
+  "objectTypes": {
+    "furniture": { "solid": true, "shape": "rect" },
+    "rug": { "solid": false, "shape": "rect" },
+    "door": { "solid": false, "shape": "rect" },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "floor",
+      "rows": [
+        "###############",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "###############"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "furniture",
+      "objects": [
+        {"type": "furniture", "id": "bookshelf", "x": 72, "y": 60, "w": 216, "h": 48, "color": "rgba(74,83,128,.55)"},
+        {"type": "rug", "id": "rug", "x": 288, "y": 180, "w": 168, "h": 120, "color": "rgba(28,33,54,.45)"},
+        {"type": "furniture", "id": "lamp", "x": 576, "y": 72, "w": 48, "h": 48, "color": "rgba(255,211,107,.35)"},
+        {"type": "door", "id": "exit", "x": 336, "y": 384, "w": 48, "h": 48, "facing": "up", "target": {"map": "village", "door": "door-2"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "spot", "id": "spot-kuro-rug", "x": 372, "y": 240}
+      ]
+    }
+  ]
+};
+
+window.CAT_VILLAGE_MAPS["home-sakura"] = {
+  "id": "home-sakura",
+  "name": "櫻餅的家",
+  "indoor": true,
+  "width": 720,
+  "height": 432,
+  "tileSize": 48,
+  "tileTypes": {
+    ",": { "name": "floor", "color": "rgba(202,163,107,.16)" },
+    "#": { "name": "wall", "color": "rgba(255,255,255,.10)", "solid": true }
+  },
+  "objectTypes": {
+    "furniture": { "solid": true, "shape": "rect" },
+    "rug": { "solid": false, "shape": "rect" },
+    "door": { "solid": false, "shape": "rect" },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "floor",
+      "rows": [
+        "###############",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "###############"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "furniture",
+      "objects": [
+        {"type": "furniture", "id": "flower-pots", "x": 72, "y": 60, "w": 240, "h": 48, "color": "rgba(255,107,136,.35)"},
+        {"type": "rug", "id": "rug", "x": 264, "y": 180, "w": 192, "h": 132, "color": "rgba(255,190,210,.12)"},
+        {"type": "furniture", "id": "tea-table", "x": 528, "y": 168, "w": 96, "h": 72, "color": "rgba(202,163,107,.45)"},
+        {"type": "door", "id": "exit", "x": 336, "y": 384, "w": 48, "h": 48, "facing": "up", "target": {"map": "village", "door": "door-3"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "spot", "id": "spot-sakura-rug", "x": 360, "y": 246}
+      ]
+    }
+  ]
+};
+
+window.CAT_VILLAGE_MAPS["home-shiro"] = {
+  "id": "home-shiro",
+  "name": "小雪的家",
+  "indoor": true,
+  "width": 720,
+  "height": 432,
+  "tileSize": 48,
+  "tileTypes": {
+    ",": { "name": "floor", "color": "rgba(202,163,107,.16)" },
+    "#": { "name": "wall", "color": "rgba(255,255,255,.10)", "solid": true }
+  },
+  "objectTypes": {
+    "furniture": { "solid": true, "shape": "rect" },
+    "rug": { "solid": false, "shape": "rect" },
+    "door": { "solid": false, "shape": "rect" },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "floor",
+      "rows": [
+        "###############",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "###############"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "furniture",
+      "objects": [
+        {"type": "furniture", "id": "bed", "x": 84, "y": 72, "w": 168, "h": 96, "color": "rgba(255,255,255,.28)"},
+        {"type": "rug", "id": "rug", "x": 288, "y": 192, "w": 168, "h": 120, "color": "rgba(124,226,255,.10)"},
+        {"type": "furniture", "id": "pillow-pile", "x": 552, "y": 96, "w": 84, "h": 60, "color": "rgba(255,255,255,.2)"},
+        {"type": "door", "id": "exit", "x": 336, "y": 384, "w": 48, "h": 48, "facing": "up", "target": {"map": "village", "door": "door-4"}}
+      ]
+    }
+  ]
+};
+
+window.CAT_VILLAGE_MAPS["home-tora"] = {
+  "id": "home-tora",
+  "name": "虎斑師傅的家",
+  "indoor": true,
+  "width": 720,
+  "height": 432,
+  "tileSize": 48,
+  "tileTypes": {
+    ",": { "name": "floor", "color": "rgba(202,163,107,.16)" },
+    "#": { "name": "wall", "color": "rgba(255,255,255,.10)", "solid": true }
+  },
+  "objectTypes": {
+    "furniture": { "solid": true, "shape": "rect" },
+    "rug": { "solid": false, "shape": "rect" },
+    "door": { "solid": false, "shape": "rect" },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "floor",
+      "rows": [
+        "###############",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "#,,,,,,,,,,,,,#",
+        "###############"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "furniture",
+      "objects": [
+        {"type": "furniture", "id": "workbench", "x": 72, "y": 60, "w": 240, "h": 60, "color": "rgba(110,75,45,.6)"},
+        {"type": "furniture", "id": "training-post", "x": 552, "y": 84, "w": 48, "h": 96, "color": "rgba(202,163,107,.5)"},
+        {"type": "rug", "id": "mat", "x": 264, "y": 192, "w": 192, "h": 120, "color": "rgba(255,176,87,.10)"},
+        {"type": "door", "id": "exit", "x": 336, "y": 384, "w": 48, "h": 48, "facing": "up", "target": {"map": "village", "door": "door-5"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "spot", "id": "spot-tora-mat", "x": 360, "y": 252}
+      ]
+    }
+  ]
+};
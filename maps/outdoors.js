@@ -0,0 +1,193 @@
+// 村莊外面的三個區域（內容是純 JSON，格式說明見 README「地圖格式」）。
+// 每張地圖邊緣的 portal 接回村莊；style 換掉底色和草地的色調，讓每個地方看起來不一樣。
+window.CAT_VILLAGE_MAPS = window.CAT_VILLAGE_MAPS || {};
+
+window.CAT_VILLAGE_MAPS["dock"] = {
+  "id": "dock",
+  "name": "漁港碼頭",
+  "width": 1200,
+  "height": 720,
+  "tileSize": 48,
+  "style": { "base": "#0a1c30", "grass": "255,242,222" },
+  "tileTypes": {
+    ",": { "name": "sand", "color": "rgba(255,226,170,.10)" },
+    "~": { "name": "water", "color": "rgba(124,226,255,.16)", "solid": true },
+    "=": { "name": "pier", "color": "rgba(202,163,107,.30)" }
+  },
+  "objectTypes": {
+    "furniture": { "solid": true, "shape": "rect" },
+    "portal": { "solid": false, "shape": "rect" },
+    "path": { "solid": false },
+    "npc": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "ground",
+      "rows": [
+        "~~~~~~~~,,,,,,,,,,,,,,,,,",
+        "~~~~~~~~,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~======,,,,,,,,,,,,,,,,,,",
+        "~======,,,,,,,,,,,,,,,,,,",
+        "~======,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~,,,,,,,,,,,,,,,,,,",
+        "~~~~~~~~,,,,,,,,,,,,,,,,,",
+        "~~~~~~~~,,,,,,,,,,,,,,,,,"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "props",
+      "objects": [
+        {"type": "path", "id": "path-dock", "points": [[1200, 372], [840, 380], [560, 372], [336, 360]]},
+        {"type": "furniture", "id": "crates", "x": 720, "y": 120, "w": 96, "h": 72, "color": "rgba(202,163,107,.45)"},
+        {"type": "furniture", "id": "net-rack", "x": 600, "y": 540, "w": 168, "h": 40, "color": "rgba(255,242,222,.18)"},
+        {"type": "furniture", "id": "boat", "x": 96, "y": 120, "w": 168, "h": 72, "color": "rgba(255,176,87,.35)", "solid": false},
+        {"type": "portal", "id": "portal-east", "x": 1176, "y": 312, "w": 24, "h": 120, "facing": "left", "target": {"map": "village", "door": "portal-west"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "npc", "id": "npc-haru", "x": 220, "y": 360}
+      ]
+    }
+  ]
+};
+
+window.CAT_VILLAGE_MAPS["forest"] = {
+  "id": "forest",
+  "name": "北邊的森林",
+  "width": 1440,
+  "height": 1080,
+  "tileSize": 48,
+  "style": { "base": "#081a1c", "grass": "166,255,203" },
+  "tileTypes": {
+    ".": { "name": "grass" },
+    "T": { "name": "tree", "color": "rgba(60,140,90,.35)", "solid": true }
+  },
+  "objectTypes": {
+    "pond": { "solid": true, "shape": "rect" },
+    "portal": { "solid": false, "shape": "rect" },
+    "path": { "solid": false },
+    "spawn": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "ground",
+      "rows": [
+        "TTTTTTTTTTTTTTTTTTTTTTTTTTTTTT",
+        "T............................T",
+        "T........T.T.................T",
+        "T..TTTT.T...........TT.......T",
+        "T....T.............T.T.......T",
+        "T.......T.......T............T",
+        "T..T.............T...T..T....T",
+        "T.............T..T.......T...T",
+        "T.........T..T............TT.T",
+        "T........................T.T.T",
+        "T.........T.T.....T.T........T",
+        "T....TT....T.T...............T",
+        "T....................T.......T",
+        "T....T..............T........T",
+        "T...T.T.................T.T..T",
+        "T.......................T....T",
+        "T.......................T....T",
+        "T.........................T..T",
+        "T......T.............T.......T",
+        "T........T..........TT.T.....T",
+        "T......TT.............T......T",
+        "T............................T",
+        "TTTTTTTTTTTTT....TTTTTTTTTTTTT"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "props",
+      "objects": [
+        {"type": "path", "id": "path-trail", "points": [[720, 1080], [720, 820], [700, 640], [720, 520]]},
+        {"type": "portal", "id": "portal-south", "x": 672, "y": 1056, "w": 96, "h": 24, "facing": "up", "target": {"map": "village", "door": "portal-north"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "spawn", "id": "mob-lynx", "x": 720, "y": 480}
+      ]
+    }
+  ]
+};
+
+window.CAT_VILLAGE_MAPS["market"] = {
+  "id": "market",
+  "name": "市場街",
+  "width": 1680,
+  "height": 720,
+  "tileSize": 48,
+  "style": { "base": "#1a1426", "grass": "255,176,87" },
+  "tileTypes": {
+    ":": { "name": "cobblestone", "color": "rgba(255,242,222,.06)" },
+    "#": { "name": "shopfront", "color": "rgba(255,107,136,.10)", "solid": true }
+  },
+  "objectTypes": {
+    "stall": { "solid": true, "shape": "rect" },
+    "portal": { "solid": false, "shape": "rect" },
+    "path": { "solid": false },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "ground",
+      "rows": [
+        "###################################",
+        "###################################",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::",
+        ":::::::::::::::::::::::::::::::::::"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "stalls",
+      "objects": [
+        {"type": "path", "id": "path-street", "points": [[0, 372], [600, 380], [1200, 372], [1680, 380]]},
+        {"type": "stall", "id": "stall-fish", "x": 240, "y": 144, "w": 192, "h": 84, "color": "rgba(124,226,255,.4)"},
+        {"type": "stall", "id": "stall-fruit", "x": 624, "y": 144, "w": 192, "h": 84, "color": "rgba(255,176,87,.45)"},
+        {"type": "stall", "id": "stall-yarn", "x": 1008, "y": 144, "w": 192, "h": 84},
+        {"type": "stall", "id": "stall-toys", "x": 432, "y": 528, "w": 192, "h": 84, "color": "rgba(166,255,203,.35)"},
+        {"type": "stall", "id": "stall-tea", "x": 1200, "y": 528, "w": 192, "h": 84, "color": "rgba(255,211,107,.4)"},
+        {"type": "portal", "id": "portal-west", "x": 0, "y": 300, "w": 24, "h": 120, "facing": "right", "target": {"map": "village", "door": "portal-east"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "npc", "id": "npc-mugi", "x": 900, "y": 300},
+        {"type": "spot", "id": "spot-market-tea", "x": 1296, "y": 490}
+      ]
+    }
+  ]
+};
@@ -0,0 +1,111 @@
+// 貓咪村莊的地圖資料（內容是純 JSON，格式說明見 README「地圖格式」）。
+// 用 <script> 載入而不是 fetch，直接雙擊 index.html（file://）也能玩。
+window.CAT_VILLAGE_MAPS = window.CAT_VILLAGE_MAPS || {};
+window.CAT_VILLAGE_MAPS.village = {
+  "id": "village",
+  "name": "貓咪村莊",
+  "width": 1920,
+  "height": 1080,
+  "tileSize": 48,
+  "tileTypes": {
+    ".": { "name": "grass" }
+  },
+  "objectTypes": {
+    "house": { "solid": true, "shape": "rect" },
+    "pond": { "solid": true, "shape": "rect" },
+    "fence": { "solid": true, "shape": "rect" },
+    "door": { "solid": false, "shape": "rect" },
+    "portal": { "solid": false, "shape": "rect" },
+    "path": { "solid": false },
+    "spawn": { "solid": false },
+    "shop": { "solid": false },
+    "bench": { "solid": false },
+    "npc": { "solid": false },
+    "spot": { "solid": false }
+  },
+  "layers": [
+    {
+      "type": "tiles",
+      "name": "ground",
+      "rows": [
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................",
+        "........................................"
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "paths",
+      "objects": [
+        {"type": "path", "id": "path-main", "points": [[200, 940], [520, 900], [820, 860], [1100, 820], [1500, 780]]},
+        {"type": "path", "id": "path-north", "points": [[520, 900], [520, 700], [520, 520], [520, 420], [520, 300]]},
+        {"type": "path", "id": "path-forest", "points": [[520, 300], [560, 140], [520, 0]]},
+        {"type": "path", "id": "path-dock", "points": [[200, 940], [80, 970], [0, 980]]},
+        {"type": "path", "id": "path-market", "points": [[1100, 960], [1500, 940], [1760, 860], [1920, 760]]}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "buildings",
+      "objects": [
+        {"type": "house", "id": "house-1", "x": 240, "y": 180, "w": 380, "h": 240},
+        {"type": "door", "id": "door-1", "house": "house-1", "x": 409, "y": 352, "w": 42, "h": 58, "facing": "down", "target": {"map": "home-mikan", "door": "exit"}},
+        {"type": "house", "id": "house-2", "x": 720, "y": 160, "w": 420, "h": 260},
+        {"type": "door", "id": "door-2", "house": "house-2", "x": 909, "y": 352, "w": 42, "h": 58, "facing": "down", "target": {"map": "home-kuro", "door": "exit"}},
+        {"type": "house", "id": "house-3", "x": 1240, "y": 210, "w": 420, "h": 230},
+        {"type": "door", "id": "door-3", "house": "house-3", "x": 1429, "y": 372, "w": 42, "h": 58, "facing": "down", "target": {"map": "home-sakura", "door": "exit"}},
+        {"type": "house", "id": "house-4", "x": 320, "y": 520, "w": 360, "h": 240},
+        {"type": "door", "id": "door-4", "house": "house-4", "x": 479, "y": 692, "w": 42, "h": 58, "facing": "down", "target": {"map": "home-shiro", "door": "exit"}},
+        {"type": "house", "id": "house-5", "x": 840, "y": 560, "w": 430, "h": 260},
+        {"type": "door", "id": "door-5", "house": "house-5", "x": 1034, "y": 752, "w": 42, "h": 58, "facing": "down", "target": {"map": "home-tora", "door": "exit"}},
+        {"type": "pond", "id": "pond", "x": 1260, "y": 620, "w": 420, "h": 260},
+        {"type": "fence", "id": "fence-1", "x": 120, "y": 880, "w": 820, "h": 40},
+        {"type": "fence", "id": "fence-2", "x": 120, "y": 760, "w": 40, "h": 160},
+        {"type": "fence", "id": "fence-3", "x": 900, "y": 760, "w": 40, "h": 160},
+        {"type": "fence", "id": "fence-4", "x": 520, "y": 740, "w": 40, "h": 180},
+        {"type": "portal", "id": "portal-north", "x": 460, "y": 0, "w": 120, "h": 24, "facing": "down", "target": {"map": "forest", "door": "portal-south"}},
+        {"type": "portal", "id": "portal-west", "x": 0, "y": 920, "w": 24, "h": 120, "facing": "right", "target": {"map": "dock", "door": "portal-east"}},
+        {"type": "portal", "id": "portal-east", "x": 1896, "y": 700, "w": 24, "h": 120, "facing": "left", "target": {"map": "market", "door": "portal-west"}}
+      ]
+    },
+    {
+      "type": "objects",
+      "name": "entities",
+      "objects": [
+        {"type": "spawn", "id": "player", "x": 520, "y": 940, "facing": "down"},
+        {"type": "shop", "id": "shop", "x": 680, "y": 1000, "r": 34},
+        {"type": "bench", "id": "craft-bench", "x": 1000, "y": 985, "r": 30},
+        {"type": "npc", "id": "npc-mikan", "x": 420, "y": 460},
+        {"type": "npc", "id": "npc-kuro", "x": 980, "y": 470},
+        {"type": "npc", "id": "npc-sakura", "x": 1480, "y": 510},
+        {"type": "npc", "id": "npc-shiro", "x": 700, "y": 860},
+        {"type": "npc", "id": "npc-tora", "x": 1080, "y": 860},
+        {"type": "spawn", "id": "mob-thief", "x": 360, "y": 980},
+        {"type": "spawn", "id": "mob-brute", "x": 1180, "y": 980},
+        {"type": "spot", "id": "spot-sunny-path", "x": 560, "y": 470},
+        {"type": "spot", "id": "spot-shop-front", "x": 600, "y": 1030},
+        {"type": "spot", "id": "spot-pond-south", "x": 1470, "y": 930}
+      ]
+    }
+  ]
+};